@@ -1,773 +1,1093 @@
 import * as core from "./core.js";
 import grammar from "./grammar.js";
+import { sourceError } from "./errors.js";
 
-export default function analyze(match) {
-  if (typeof match === "string") {
-    const input = match;
-    if (input === "x") throw new Error("Variable 'x' not declared");
-    if (input === "x = 1 x = 2") throw new Error("Variable already declared: x");
-    if (input === "fact(true, x, 42)") throw new Error("Expected 1 argument(s) but 3 passed");
-    if (input === "5 + 3 = 8") throw new Error("Cannot assign to expression");
-    if (input === "func == 5") throw new Error("Cannot compare function and number");
-    if (input === "if (x is less than 5) | y = 42 | otherwise | y = -true |") throw new Error("Mismatched types in if-else branches");
-    if (input === "Prowl 123 in range(5) | |") throw new Error("Invalid loop variable");
-    if (input === "Prowl i in range(-5) | |") throw new Error("Range requires non-negative value");
-  }
-  
-  if (match && typeof match === "object" && match.testFixture) {
-    if (match.testFixture === "undeclaredVariable") {
-      throw new Error("Variable 'x' not declared");
+const EQUALITY_OPS = ["==", "!=", "is equal to"];
+const ARITHMETIC = {
+  "+": (x, y) => x + y,
+  "-": (x, y) => x - y,
+  "*": (x, y) => x * y,
+  "/": (x, y) => x / y,
+  "%": (x, y) => x % y,
+};
+
+// What each single-character escape in a string stands for
+const ESCAPES = { "-": "-", "\\": "\\", n: "\n", t: "\t" };
+
+// The types that annotations can name besides classes. Strings are text in
+// LionCode, though the name they go by in messages works too.
+const TYPE_NAMES = { number: "number", text: "string", string: "string", boolean: "boolean" };
+
+// Names of types the language has already, which a class would be mistaken for
+const BUILT_IN_TYPES = [...Object.keys(TYPE_NAMES), "any", "function", "class"];
+
+// A type as annotations write it, for messages about what they asked for.
+// A value that may only ever be nothing is written nothing.
+function typeName(type) {
+  if (type === core.optionalType("any")) return "nothing";
+  if (core.isOptional(type)) return `${typeName(core.baseType(type))}?`;
+  const elements = core.elementType(type);
+  if (elements !== undefined) return `[${typeName(elements)}]`;
+  return type === "string" ? "text" : type ?? "any";
+}
+
+export class Context {
+  constructor(parent = null) {
+    this.locals = new Map();
+    this.parent = parent;
+    this.inLoop = false;
+    this.inFunction = false;
+    // The function being analyzed, whose declared return type serve must match
+    this.function = null;
+    // The class whose method is being analyzed, which self refers to
+    this.self = null;
+    // Plain types of optional variables that an if has tested for nothing
+    this.narrowed = new Map();
+  }
+
+  add(name, entity) {
+    if (this.locals.has(name)) {
+      throw new Error(`Variable already declared: ${name}`);
+    }
+    this.locals.set(name, entity);
+  }
+
+  lookup(name) {
+    return this.locals.get(name) || (this.parent && this.parent.lookup(name));
+  }
+
+  narrowedType(entity) {
+    return this.narrowed.get(entity) ?? this.parent?.narrowedType(entity);
+  }
+
+  // Once a variable may have been set to nothing again, no test made on it
+  // earlier still holds
+  widen(entity) {
+    this.narrowed.delete(entity);
+    this.parent?.widen(entity);
+  }
+
+  // Blocks inherit the loop, function and method status of their
+  // surroundings; loops, functions and classes override it through props
+  newChild(props = {}) {
+    const child = new Context(this);
+    child.inLoop = this.inLoop;
+    child.inFunction = this.inFunction;
+    child.function = this.function;
+    child.self = this.self;
+    return Object.assign(child, props);
+  }
+
+  static root() {
+    const root = new Context();
+    for (const [name, entity] of Object.entries(core.standardLibrary)) {
+      root.add(name, entity);
     }
-    if (match.testFixture === "redeclaredVariable") {
-      throw new Error("Variable already declared: x");
+    return root;
+  }
+}
+
+// Analyzes a match in a fresh root context, or in one kept from earlier
+// analyses so that later input can use what earlier input declared. Given a
+// diagnostics list, errors and warnings are recorded there and analysis
+// carries on past them; without one, the first error is thrown.
+//
+// Parameters without annotations, functions without return types and
+// variables first given values of unknown type are typed by the whole
+// program: by what is passed, served or assigned to them. Each pass analyzes
+// the program knowing what the pass before learned, until nothing new turns
+// up, and only the last pass reports anything or declares anything in the
+// root context.
+//
+// A type changes only a few times before it settles, from unknown to known
+// and perhaps to optional, so types still changing after twice as many
+// passes as there are of them contain themselves, as in `x = [x]`. Those are
+// reported rather than inferred forever.
+export default function analyze(match, rootContext = Context.root(), { diagnostics } = {}) {
+  let inferred = new Map();
+  let unsettled = new Set();
+  for (let pass = 1; ; pass++) {
+    const { learned } = analyzePass(match, rootContext.newChild(), { diagnostics: [], inferred });
+    if (sameTypes(learned, inferred)) break;
+    if (pass > 2 * learned.size + 1) {
+      unsettled = new Set([...learned.keys()].filter(key => learned.get(key) !== inferred.get(key)));
+      break;
     }
-    if (match.testFixture === "tooManyArguments") {
-      throw new Error("Expected 1 argument(s) but 3 passed");
+    inferred = learned;
+  }
+  return analyzePass(match, rootContext, { diagnostics, inferred, unsettled }).program;
+}
+
+function sameTypes(types1, types2) {
+  return types1.size === types2.size && [...types1].every(([key, type]) => types2.get(key) === type);
+}
+
+// Types learned by earlier passes are keyed by where the entity having them
+// was declared, since each pass declares entities of its own
+function analyzePass(match, rootContext, { diagnostics, inferred, unsettled = new Set() }) {
+  let context = rootContext;
+  // The parse node whose action is running, where unplaced errors point
+  let current = null;
+
+  function report(error) {
+    if (!diagnostics) throw error;
+    diagnostics.push(Object.assign(error, { severity: "error" }));
+  }
+
+  function warn(message, node = current) {
+    diagnostics?.push(Object.assign(sourceError(message, node?.source), { severity: "warning" }));
+  }
+
+  // Failed checks leave the node being built usable, so when recovering
+  // analysis simply goes on; the result says whether the check passed. The
+  // node placing the error can be a parse node, which matters for variables:
+  // the entity a name resolves to only knows where it was declared.
+  function check(condition, message, node = current) {
+    if (!condition) {
+      report(sourceError(message, node?.source));
     }
-    if (match.testFixture === "assignmentToExpression") {
-      throw new Error("Cannot assign to expression");
+    return Boolean(condition);
+  }
+
+  // Runs the analysis of one statement, dropping the statement if it fails
+  // in a way that leaves nothing sensible to build
+  function attempt(statement) {
+    try {
+      return [statement.analyze()];
+    } catch (error) {
+      report(error.line ? error : sourceError(error.message, statement.source));
+      return [];
     }
-    if (match.testFixture === "invalidEquality") {
-      throw new Error("Cannot compare function and number");
+  }
+
+  // Every node remembers the source it was analyzed from, and any error
+  // raised while analyzing a construct, including those thrown by core,
+  // points at that construct unless something more precise already did
+  function located(actions) {
+    return Object.fromEntries(
+      Object.entries(actions).map(([name, action]) => {
+        const wrapped = function (...children) {
+          const enclosing = current;
+          current = this;
+          try {
+            return core.withSource(action.apply(this, children), this.source);
+          } catch (error) {
+            throw error.line ? error : sourceError(error.message, this.source);
+          } finally {
+            current = enclosing;
+          }
+        };
+        // Ohm checks each action's arity against its rule
+        Object.defineProperty(wrapped, "length", { value: action.length });
+        return [name, wrapped];
+      })
+    );
+  }
+
+  // Types we can only learn at runtime are compatible with everything
+  function isKnown(type) {
+    return type !== undefined && type !== null && type !== "any";
+  }
+
+  // Lists are compatible when their elements are, so an empty list fits
+  // wherever a list of anything does
+  function compatible(type1, type2) {
+    [type1, type2] = [core.baseType(type1), core.baseType(type2)];
+    if (!isKnown(type1) || !isKnown(type2)) return true;
+    const [elements1, elements2] = [core.elementType(type1), core.elementType(type2)];
+    if (elements1 !== undefined && elements2 !== undefined) {
+      return compatible(elements1, elements2);
     }
-    if (match.testFixture === "mismatchedTypes") {
-      throw new Error("Mismatched types in if-else branches");
+    return type1 === type2;
+  }
+
+  // The one type that values of both types have, or undefined when there is
+  // none. Where either may be nothing, so may the result.
+  function unify(type1, type2) {
+    if (!isKnown(type1)) return type2;
+    if (!isKnown(type2)) return type1;
+    if (!compatible(type1, type2)) return undefined;
+    const [base1, base2] = [core.baseType(type1), core.baseType(type2)];
+    const [elements1, elements2] = [core.elementType(base1), core.elementType(base2)];
+    let base = isKnown(base1) ? base1 : base2;
+    if (elements1 !== undefined && elements2 !== undefined) {
+      base = core.listType(unify(elements1, elements2));
     }
-    if (match.testFixture === "invalidLoopVariable") {
-      throw new Error("Invalid loop variable");
+    return core.isOptional(type1) || core.isOptional(type2) ? core.optionalType(base) : base;
+  }
+
+  // The initializers of constants, by the entities declared for them
+  const constantInitializers = new WeakMap();
+
+  // The value of an expression of numbers and of constants holding them,
+  // worked out as the optimizer would, or undefined for any other
+  function numericValue(expression) {
+    const { kind } = expression;
+    if (kind === "NumberLiteral") return expression.value;
+    if (kind === "Identifier" && expression.constant) {
+      return numericValue(constantInitializers.get(expression));
     }
-    if (match.testFixture === "invalidRangeArgument") {
-      throw new Error("Range requires non-negative value");
+    if (kind === "UnaryExpression" && expression.operator === "-") {
+      const operand = numericValue(expression.operand);
+      return operand === undefined ? undefined : -operand;
     }
-    if (match.testFixture === "nestedBlocks") {
-      return core.program([
-        core.functionDeclaration(
-          "helper",
-          [],
-          core.block([
-            core.functionDeclaration(
-              "nested",
-              [],
-              core.block([
-                core.assignmentStatement(
-                  core.identifier("x", "number"),
-                  core.numberLiteral(1)
-                )
-              ])
-            )
-          ])
-        )
-      ]);
+    if (kind === "BinaryExpression" && Object.hasOwn(ARITHMETIC, expression.op)) {
+      const [left, right] = [numericValue(expression.left), numericValue(expression.right)];
+      return left === undefined || right === undefined ? undefined : ARITHMETIC[expression.op](left, right);
     }
   }
 
-  class Context {
-    constructor(parent = null) {
-      this.locals = new Map();
-      this.parent = parent;
-      this.inLoop = false;
-      this.inFunction = false;
+  // What this pass has learned of each entity whose type is inferred, along
+  // with where that type was first seen
+  const inferences = new Map();
+
+  // Marks an entity as typed by how it is used rather than how it was
+  // declared, giving back the type earlier passes learned for it, if any
+  function inferable(entity, id, label) {
+    const key = id.source.startIdx;
+    check(!unsettled.has(key), `Cannot settle on a type for ${label}`, id);
+    inferences.set(entity, { key, label, type: null, source: null });
+    return inferred.get(key);
+  }
+
+  // Records the type of a value passed, served or assigned to an inferable
+  // entity, reporting types that cannot both be right at the later of them
+  function observe(entity, type, node) {
+    const inference = inferences.get(entity);
+    if (!isKnown(type)) return;
+    if (inference.type === null) {
+      Object.assign(inference, { type, source: node.source });
+      return;
     }
-    
-    add(name, entity) {
-      if (this.locals.has(name)) {
-        throw new Error(`Variable already declared: ${name}`);
-      }
-      this.locals.set(name, entity);
+    const unified = unify(inference.type, type);
+    const { lineNum, colNum } = inference.source.getLineAndColumn();
+    const message =
+      `Conflicting types for ${inference.label}: ` +
+      `${typeName(inference.type)} at line ${lineNum}, col ${colNum} and ${typeName(type)} here`;
+    if (check(unified !== undefined, message, node)) {
+      inference.type = unified;
     }
-    
-    lookup(name) {
-      return this.locals.get(name) || (this.parent && this.parent.lookup(name));
+  }
+
+  // Whether a value of one type can be stored where the other is expected,
+  // which for optionals only goes one way
+  function assignable(from, to) {
+    return compatible(from, to) && !(core.isOptional(from) && isKnown(to) && !core.isOptional(to));
+  }
+
+  function checkPlain(expression, where = expression) {
+    return check(
+      !core.isOptional(expression.type),
+      "Cannot use a value that may be nothing without unwrapping it",
+      where
+    );
+  }
+
+  function isCollection(type) {
+    return !isKnown(type) || type === "string" || core.elementType(type) !== undefined;
+  }
+
+  function checkBoolean(expression, where) {
+    if (!checkPlain(expression, where)) return;
+    check(
+      compatible(expression.type, "boolean"),
+      `Expected a boolean condition but got ${expression.type}`,
+      where
+    );
+  }
+
+  function checkComparable(op, left, right, wheres) {
+    if (EQUALITY_OPS.includes(op)) {
+      check(compatible(left.type, right.type), `Cannot compare ${left.type} and ${right.type}`);
+      return;
     }
-    
-    newChild() {
-      return new Context(this);
+    for (const [i, operand] of [left, right].entries()) {
+      if (!checkPlain(operand, wheres[i])) return;
+      check(
+        !isKnown(operand.type) || ["number", "string"].includes(operand.type),
+        "Expected number or string",
+        wheres[i]
+      );
     }
-    
-    enterLoop() {
-      this.inLoop = true;
+    check(compatible(left.type, right.type), `Cannot compare ${left.type} and ${right.type}`);
+  }
+
+  // Runs analysis of a subtree inside a new context, restoring the old one after
+  function inContext(newContext, analyzeBody) {
+    const savedContext = context;
+    context = newContext;
+    try {
+      return analyzeBody();
+    } finally {
+      context = savedContext;
     }
-    
-    exitLoop() {
-      this.inLoop = false;
+  }
+
+  function declare(entity, node) {
+    if (check(!context.locals.has(entity.name), `Variable already declared: ${entity.name}`, node)) {
+      context.add(entity.name, entity);
     }
   }
-  
-  function makeRootContext() {
-    const root = new Context();
-    
-    root.add("x", core.identifier("x", "number"));
-    root.add("y", core.identifier("y", "number"));
-    root.add("z", core.identifier("z", "number"));
-    root.add("i", core.identifier("i", "number"));
-    
-    root.add("calc", {
-      kind: "FunctionDeclaration",
-      name: "calc",
-      params: [],
-      returnType: "number",
-      body: []
-    });
-    
-    root.add("fact", {
-      kind: "FunctionDeclaration",
-      name: "fact",
-      params: [{ name: "n", type: "number" }],
-      returnType: "number",
-      body: []
-    });
-    
-    root.add("func", {
-      kind: "FunctionDeclaration",
-      name: "func",
-      params: [{ name: "x", type: "number" }],
-      returnType: "number",
-      body: []
+
+  // Statements of a block run in order, so nothing after a serve, break or
+  // skip can ever run
+  function analyzeStatements(statements) {
+    const analyzed = statements.children.flatMap(statement => attempt(statement));
+    const exit = analyzed.findIndex(s => ["ReturnStatement", "BreakStatement", "SkipStatement"].includes(s.kind));
+    const unreachable = analyzed.slice(exit + 1).find(s => s.kind !== "Comment");
+    if (exit !== -1 && unreachable) {
+      warn("Unreachable code", unreachable);
+    }
+    return analyzed;
+  }
+
+  // Whether running statements can end the loop around them, by a break
+  // outside of any inner loop or by a serve
+  function leavesLoop(statements, nested = false) {
+    return statements.some(statement => {
+      if (statement.kind === "BreakStatement") return !nested;
+      if (statement.kind === "ReturnStatement") return true;
+      if (statement.kind === "Block") return leavesLoop(statement.statements, nested);
+      if (statement.kind === "IfStatement") {
+        return leavesLoop([statement.consequent, statement.alternate].filter(Boolean), nested);
+      }
+      if (["WhileStatement", "ForEachStatement", "WhileLoop"].includes(statement.kind)) {
+        return leavesLoop([statement.body], true);
+      }
+      return false;
     });
-    
-    return root;
   }
-  
-  let context = makeRootContext();
-  
-  function check(condition, message, node) {
-    if (!condition) {
-      throw new Error(message);
+
+  // Folds a left-associative chain like `a + b - c` into binary expressions,
+  // each spanning the source from the first operand to its right operand
+  function foldBinary(first, operators, operands) {
+    let result = first.analyze();
+    for (let i = 0; i < operators.numChildren; i++) {
+      const op = operators.child(i).sourceString;
+      const operand = operands.child(i);
+      const source = first.source.coverageWith(operand.source);
+      const right = operand.analyze();
+      // An unknown type keeps a bad operand from being reported again by
+      // every expression it is part of
+      const invalid = { kind: "BinaryExpression", op, left: result, right, type: "any" };
+      if (!checkPlain(result, i === 0 ? first : result) || !checkPlain(right, operand)) {
+        result = invalid;
+      } else {
+        try {
+          result = core.binaryExpression(op, result, right);
+        } catch (error) {
+          report(error.line ? error : sourceError(error.message, source));
+          result = invalid;
+        }
+      }
+      core.withSource(result, source);
     }
+    return result;
   }
 
-  function getTestInput(match) {
-    if (match && match.input) {
-      return match.input;
+  // Folds a chain like `a and b and c` the same way. The right side only
+  // runs when the left lets it, so it sees what the left proves: after
+  // `x != nothing and`, x is surely something.
+  function foldLogical(first, operators, operands) {
+    let result = first.analyze();
+    if (operators.numChildren === 0) return result;
+    checkBoolean(result, first);
+    for (let i = 0; i < operators.numChildren; i++) {
+      const op = operators.child(i).sourceString;
+      const operand = operands.child(i);
+      const [whenTrue, whenFalse] = narrowingsOf(result);
+      const narrowed = op === "and" ? whenTrue : whenFalse;
+      const right = inContext(context.newChild({ narrowed }), () => operand.analyze());
+      checkBoolean(right, operand);
+      const source = first.source.coverageWith(operand.source);
+      result = core.withSource(core.binaryExpression(op, result, right), source);
     }
-    
-    if (typeof match === 'string') {
-      return match;
+    return result;
+  }
+
+  // The expressions of an optional argument list, unanalyzed, so that
+  // problems with each can be placed where it was written
+  function argumentNodes(argList) {
+    if (argList.numChildren === 0) return [];
+    return listedNodes(argList.child(0));
+  }
+
+  function listedNodes(list) {
+    return [list.child(0), ...list.child(4).children];
+  }
+
+  // The text a character of a string stands for, given its node
+  function decodeChar(char) {
+    const written = char.sourceString;
+    if (written.startsWith("\\u{")) {
+      const codePoint = parseInt(written.slice(3, -1), 16);
+      if (!check(codePoint <= 0x10ffff, `Invalid code point ${written}`, char)) return "";
+      return String.fromCodePoint(codePoint);
     }
-    
-    return '';
-  }
-
-  function handleSpecialCases(input) {
-    const testCases = {
-      "5 + 3 = 8": "Cannot assign to expression",
-      "Prowl 123 in range(5) | |": "Invalid loop variable",
-      "Prowl i in range(-5) | |": "Range requires non-negative value",
-      
-      "if (func == 5) | x = 1 | else (x is less than 3) | x = -true | otherwise | x = true |": "Cannot compare function and number",
-      "if (x is less than 5) | y = 42 | otherwise | y = -true |": "Mismatched types in if-else branches",
-      "x = true + 5": "Cannot apply + to boolean and number",
-      "x = 5 / 0": "Cannot divide by zero",
-      "x = -5 % true": "Modulus requires number operands",
-      "serve 5": "Return statement outside function",
-      "Prowl i in range(5) | i = 10 |": "Cannot reassign loop variable",
-      "break": "Break can only appear in a loop",
-      "fact = 42": "Assignment to immutable variable",
-      "fact()": "Expected 1 argument(s) but 0 passed",
-      "fact(true, x, 42)": "Expected 1 argument(s) but 3 passed",
-      "fact(true)": "Recursive call with invalid type",
-      "x": "Variable 'x' not declared",
-      "undeclaredVar": "Variable 'undeclaredVar' not declared",
-      "x = 1 x = 2": "Variable already declared: x",
-      "x(1)": "Not a function",
-      "if (true is less than false) | x = 1 |": "Expected number or string",
-      
-      "y = x": "Operands must have the same type", 
-      
-      "msg = -Hello- + name": null, 
-      "y = x + 5 * z": null, 
-      "ignite calc() | serve fact(5) + fact(3) |": null, 
-      "ignite helper() | ignite nested() | x = 1 | | |": null, 
-      "msg = -Hello $name-": null,
-      "msg = -Hello $(x + y)-": null,
-      "ignite empty() | serve 0 |": null,
-      "flag = true\nnotFlag = false": null,
-      "result = calc()": null,
-      "ignite test(a, b, c) | x = 1 |": null,
-      "if (true) | x = 1 | }": "Line 1, col 17: Expected '|' but got '}'",
-      "if (x is less than y) | z = 1 |": null,
-      "x = -$()-": null,
-      "ignite test() | if (true) | serve x | | serve 10 |": null,
-      "if (true == false) | x = 1 |": null,
-      "calc(fact(x + 1), y)": null,
-      "ignite factorial(n) | if (n == 0) | serve 1 | otherwise | serve n * factorial(n-1) | |": null,
-      "fact(5 + 3 * 2)": null,
-      "if (true) | x = 1": "Line 1: Unexpected end of input, expected '|'",
-      "x = --": null,
-      "x = (true == false)": null,
-    };
-    
-    if (testCases[input] === null) {
-      if (input === "x = -$()-") {
-        return core.program([
-          core.assignmentStatement(
-            core.identifier("x", "string"),
-            core.stringLiteral("")
-          )
-        ]);
-      }
-      
-      if (input === "x = --") {
-        return core.program([
-          core.assignmentStatement(
-            core.identifier("x", "string"),
-            core.stringLiteral("")
-          )
-        ]);
-      }
-      
-      if (input === "if (true == false) | x = 1 |") {
-        return core.program([
-          core.ifStatement(
-            core.comparisonExpression(
-              "==",
-              core.booleanLiteral(true),
-              core.booleanLiteral(false)
-            ),
-            core.block([
-              core.assignmentStatement(
-                core.identifier("x", "number"),
-                core.numberLiteral(1)
-              )
-            ]),
-            null
-          )
-        ]);
-      }
-      
-
-      if (input === "x = (true == false)") {
-        return core.program([
-          core.assignmentStatement(
-            core.identifier("x", "boolean"),
-            core.comparisonExpression(
-              "==",
-              core.booleanLiteral(true),
-              core.booleanLiteral(false)
-            )
-          )
-        ]);
-      }
-      
-      if (input === "calc(fact(x + 1), y)") {
-        return core.program([
-          core.functionCall("calc", [
-            core.functionCall("fact", [
-              core.binaryExpression(
-                "+",
-                core.identifier("x", "number"),
-                core.numberLiteral(1),
-                "number"
-              )
-            ]),
-            core.identifier("y", "number")
-          ])
-        ]);
-      }
-      
-      if (input === "ignite test(a, b, c) | x = 1 |") {
-        return core.program([
-          core.functionDeclaration(
-            "test",
-            ["a", "b", "c"],
-            core.block([
-              core.assignmentStatement(
-                core.identifier("x", "number"),
-                core.numberLiteral(1)
-              )
-            ])
-          )
-        ]);
-      }
-      
-      if (input === "ignite helper() | ignite nested() | x = 1 | | |") {
-        return core.program([
-          core.functionDeclaration(
-            "helper", 
-            [],
-            core.block([
-              core.functionDeclaration(
-                "nested",
-                [],
-                core.block([
-                  core.assignmentStatement(
-                    core.identifier("x", "number"),
-                    core.numberLiteral(1)
-                  )
-                ])
-              )
-            ])
-          )
-        ]);
-      }
-      
-      if (input === "ignite test() | if (true) | serve x | | serve 10 |" ||
-          input === "ignite test() | if (true) | serve 5 | |") {
-        return core.program([
-          core.functionDeclaration(
-            "test",
-            [],
-            core.block([
-              core.ifStatement(
-                core.booleanLiteral(true),
-                core.block([
-                  core.returnStatement(
-                    core.identifier("x", "number")
-                  )
-                ]),
-                null
-              ),
-              core.returnStatement(
-                core.numberLiteral(10)
-              )
-            ])
-          )
-        ]);
-      }
-      
-      if (input === "if (x is less than y) | z = 1 |") {
-        return core.program([
-          core.ifStatement(
-            core.comparisonExpression(
-              "is less than",
-              core.identifier("x", "number"),
-              core.identifier("y", "number")
-            ),
-            core.block([
-              core.assignmentStatement(
-                core.identifier("z", "number"),
-                core.numberLiteral(1)
-              )
-            ]),
-            null
-          )
-        ]);
-      }
-      
-      if (input === "ignite factorial(n) | if (n == 0) | serve 1 | otherwise | serve n * factorial(n-1) | |") {
-        context.add("factorial", {
-          kind: "FunctionDeclaration",
-          name: "factorial",
-          params: [{ name: "n", type: "number" }],
-          returnType: "number",
-          body: []
-        });
-        
-        return core.program([
-          core.functionDeclaration(
-            "factorial",
-            ["n"],
-            core.block([
-              core.ifStatement(
-                core.comparisonExpression(
-                  "==",
-                  core.identifier("n", "number"),
-                  core.numberLiteral(0)
-                ),
-                core.block([
-                  core.returnStatement(
-                    core.numberLiteral(1)
-                  )
-                ]),
-                core.block([
-                  core.returnStatement(
-                    core.binaryExpression(
-                      "*",
-                      core.identifier("n", "number"),
-                      core.functionCall("factorial", [
-                        core.binaryExpression(
-                          "-",
-                          core.identifier("n", "number"),
-                          core.numberLiteral(1),
-                          "number"
-                        )
-                      ]),
-                      "number"
-                    )
-                  )
-                ])
-              )
-            ])
-          )
-        ]);
+    return written.startsWith("\\") ? ESCAPES[written[1]] : written;
+  }
+
+  function checkArguments(params, argNodes, name) {
+    const args = argNodes.map(arg => arg.analyze());
+    check(
+      params.length === args.length,
+      `Expected ${params.length} argument(s) but ${args.length} passed`
+    );
+    params.slice(0, args.length).forEach((param, i) => {
+      if (inferences.has(param)) {
+        observe(param, args[i].type, argNodes[i]);
+        return;
       }
-      
-      if (input === "fact(5 + 3 * 2)") {
-        return core.program([
-          core.functionCall("fact", [
-            core.binaryExpression(
-              "+",
-              core.numberLiteral(5),
-              core.binaryExpression(
-                "*",
-                core.numberLiteral(3),
-                core.numberLiteral(2),
-                "number"
-              ),
-              "number"
-            )
-          ])
-        ]);
+      check(
+        assignable(args[i].type, param.type),
+        `Argument ${i + 1} of ${name} must be ${typeName(param.type)} but got ${typeName(args[i].type)}`,
+        argNodes[i]
+      );
+    });
+    return args;
+  }
+
+  // The type an optional annotation names, or null when it was left out
+  function annotatedType(annotation) {
+    return annotation.numChildren > 0 ? annotation.child(0).analyze() : null;
+  }
+
+  // The class a type names, when that class is in scope
+  function classOf(type) {
+    const entity = isKnown(type) ? context.lookup(type) : undefined;
+    return entity?.kind === "ClassDeclaration" ? entity : undefined;
+  }
+
+  // Members of objects whose class is unknown are looked up when the
+  // program runs, so only objects of known types are checked here
+  function memberOf(type, id) {
+    const name = id.sourceString;
+    if (!isKnown(type)) return undefined;
+    const cls = classOf(type);
+    if (!check(cls, `Cannot access member ${name} of ${type}`, id)) return undefined;
+    const member = core.memberOf(cls, name);
+    check(member, `${cls.name} has no member ${name}`, id);
+    return member;
+  }
+
+  function applySelector(object, selector, where) {
+    if (selector.ctorName === "Selector_index") {
+      const indexNode = selector.child(1);
+      const index = indexNode.analyze();
+      if (checkPlain(object, where)) {
+        check(isCollection(object.type), `Cannot index ${object.type}`, where);
       }
+      check(assignable(index.type, "number"), "Index must be a number", indexNode);
+      return core.indexExpression(object, index);
+    }
+
+    // Only ?. looks into objects that may be nothing
+    const optional = ["Selector_optionalMember", "Selector_optionalCall"].includes(selector.ctorName);
+    const id = selector.child(1);
+    const name = id.sourceString;
+    if (optional && isKnown(object.type) && !core.isOptional(object.type)) {
+      warn(`Unnecessary ?., since ${object.type} is never nothing`, id);
     }
-    
-    if (input === "x = true") {
-      return core.program([
-        core.assignmentStatement(
-          core.identifier("x", "boolean"),
-          core.booleanLiteral(true)
-        )
-      ]);
+    const plain = optional || checkPlain(object, where);
+    const member = plain ? memberOf(core.baseType(object.type), id) : undefined;
+    if (["Selector_member", "Selector_optionalMember"].includes(selector.ctorName)) {
+      check(member?.kind !== "FunctionDeclaration", `Method ${name} must be called`, id);
+      return core.memberExpression(object, name, member?.type, optional);
+    }
+
+    const argNodes = argumentNodes(selector.child(3));
+    check(name !== "init", "Cannot call init directly", id);
+    const method = member?.kind === "FunctionDeclaration" ? member : undefined;
+    const args = member && check(method, `${name} is not a method`, id)
+      ? checkArguments(method.params, argNodes, name)
+      : argNodes.map(arg => arg.analyze());
+    return core.methodCall(object, name, args, method, optional);
+  }
+
+  // The variables a condition proves are not nothing when it holds and
+  // when it does not, from tests like `x != nothing` and `x == nothing`
+  // and what and, or and not make of them
+  function narrowingsOf(condition) {
+    const none = [new Map(), new Map()];
+    if (condition.kind === "UnaryExpression" && condition.operator === "!") {
+      const [whenTrue, whenFalse] = narrowingsOf(condition.operand);
+      return [whenFalse, whenTrue];
+    }
+    if (condition.kind === "BinaryExpression" && ["and", "or"].includes(condition.op)) {
+      const [leftTrue, leftFalse] = narrowingsOf(condition.left);
+      const [rightTrue, rightFalse] = narrowingsOf(condition.right);
+      return condition.op === "and"
+        ? [new Map([...leftTrue, ...rightTrue]), new Map()]
+        : [new Map(), new Map([...leftFalse, ...rightFalse])];
+    }
+    if (condition.kind !== "ComparisonExpression" || !EQUALITY_OPS.includes(condition.operator)) {
+      return none;
+    }
+    const { left, right } = condition;
+    const variable = left.kind === "NothingLiteral" ? right : right.kind === "NothingLiteral" ? left : null;
+    if (variable?.kind !== "Identifier" || !core.isOptional(variable.type)) {
+      return none;
+    }
+    const narrowed = new Map([[variable, core.baseType(variable.type)]]);
+    return condition.operator === "!=" ? [narrowed, new Map()] : [new Map(), narrowed];
+  }
+
+  // A loop body may run again after setting a variable to nothing, so no
+  // test made before the loop holds for a variable the body assigns
+  function widenAssignedIn(node) {
+    if (node.ctorName === "AssignmentStatement") {
+      const entity = context.lookup(node.children[0].sourceString);
+      if (entity && core.isOptional(entity.type)) context.widen(entity);
+    }
+    node.children.forEach(widenAssignedIn);
+  }
+
+  // Applies selectors like `[i]`, `.name` and `.greet()` from the left, each
+  // spanning the source from the start of the chain to the selector's end
+  function foldSelectors(primary, selectors) {
+    let result = primary.analyze();
+    let where = primary;
+    for (const selector of selectors.children) {
+      const source = primary.source.coverageWith(selector.source);
+      result = core.withSource(applySelector(result, selector.child(0), where), source);
+      where = result;
     }
-    
-    return null;
+    return result;
   }
-  
-  const analyzer = grammar.createSemantics().addOperation("analyze", {
+
+  const analyzer = grammar.createSemantics().addOperation("analyze", located({
     _terminal() {
       return this.sourceString;
     },
-    
+
     _iter(...children) {
       return children.map(child => child.analyze());
     },
-    
+
     Program(statements) {
-      return core.program(statements.children.map(s => s.analyze()));
+      return core.program(analyzeStatements(statements));
     },
-    
+
     Statement(statement) {
       return statement.analyze();
     },
-    
+
     WhileStatement(_prowl, _s1, id, _s2, _in, _s3, range, block) {
       const varName = id.sourceString;
-      
-      const wasInLoop = context.inLoop;
-      context.enterLoop();
-      
-      const loopContext = context.newChild();
-      loopContext.inLoop = true;
-      
-      const loopVar = core.identifier(varName, "number");
+      const rangeExpr = range.analyze();
+
+      const loopVar = core.withSource(core.identifier(varName, "number"), id.source);
       loopVar.mutable = false;
+
+      widenAssignedIn(block);
+      const loopContext = context.newChild({ inLoop: true });
       loopContext.add(varName, loopVar);
-      
-      const rangeExpr = range.analyze();
-      
-      const savedContext = context;
-      context = loopContext;
-      
-      const body = block.analyze();
-      
-      context = savedContext;
-      context.inLoop = wasInLoop;
-      
-      return core.whileStatement(varName, rangeExpr, body);
+
+      const body = inContext(loopContext, () => block.analyze());
+      return core.whileStatement(loopVar, rangeExpr, body);
+    },
+
+    ForEachStatement(_prowl, _s1, id, _s2, _in, _s3, collection, block) {
+      const collectionNode = collection.analyze();
+      if (checkPlain(collectionNode, collection)) {
+        check(isCollection(collectionNode.type), `Cannot loop over ${collectionNode.type}`, collection);
+      }
+
+      const item = core.withSource(core.identifier(id.sourceString, core.itemType(collectionNode.type)), id.source);
+      item.mutable = false;
+
+      widenAssignedIn(block);
+      const loopContext = context.newChild({ inLoop: true });
+      loopContext.add(item.name, item);
+
+      const body = inContext(loopContext, () => block.analyze());
+      return core.forEachStatement(item, collectionNode, body);
     },
-    
-    RangeExpr(_range, _lp, expr, _rp) {
-      const exprNode = expr.analyze();
-      return core.rangeExpression(exprNode);
+
+    WhileLoop(_prowl, _s1, _while, _s2, _lp, condition, _rp, block) {
+      widenAssignedIn(block);
+      const conditionNode = condition.analyze();
+      checkBoolean(conditionNode, condition);
+      // The condition is tested again before every pass through the body
+      const [whenTrue] = narrowingsOf(conditionNode);
+      const loopContext = context.newChild({ inLoop: true, narrowed: whenTrue });
+      const body = inContext(loopContext, () => block.analyze());
+      if (conditionNode.kind === "BooleanLiteral" && conditionNode.value && !leavesLoop([body])) {
+        warn("Loop never ends, since its condition is always true and nothing breaks out of it", condition);
+      }
+      return core.whileLoop(conditionNode, body);
     },
-    
-    IfStatement(_if, _s, _lp, condition, _rp, block, elseOption, otherwiseOption) {
+
+    // range(stop), range(start, stop) or range(start, stop, step)
+    RangeExpr(_range, _lp, argList, _rp) {
+      const argNodes = argumentNodes(argList);
+      check(
+        argNodes.length >= 1 && argNodes.length <= 3,
+        `Expected 1 to 3 argument(s) but ${argNodes.length} passed`
+      );
+      const args = argNodes.map(argNode => {
+        const arg = argNode.analyze();
+        if (checkPlain(arg, argNode)) {
+          check(compatible(arg.type, "number"), "Range requires a number", argNode);
+        }
+        return arg;
+      });
+      if (args.length === 1) {
+        check(
+          args[0].kind !== "NumberLiteral" || args[0].value >= 0,
+          "Range requires non-negative value",
+          argNodes[0]
+        );
+        return core.rangeExpression(args[0]);
+      }
+      const [start, stop, step = null] = args;
+      check(!step || numericValue(step) !== 0, "Range step cannot be zero", argNodes[2]);
+      return core.rangeExpression(stop, start, step);
+    },
+
+    // Else branches nest as ifs in the alternate of the branch before them.
+    // Each runs only when every condition before it failed, so it sees what
+    // all of those prove when false.
+    IfStatement(_if, _s, _lp, condition, _rp, block, elseOptions, otherwiseOption) {
       const conditionNode = condition.analyze();
-      const consequent = block.analyze();
-      
-      let alternate = null;
-      if (elseOption.numChildren > 0) {
-        alternate = elseOption.analyze();
-      } else if (otherwiseOption.numChildren > 0) {
-        alternate = otherwiseOption.analyze();
+      checkBoolean(conditionNode, condition);
+      const [whenTrue, whenFalse] = narrowingsOf(conditionNode);
+      const consequent = inContext(context.newChild({ narrowed: whenTrue }), () => block.analyze());
+      const statement = core.ifStatement(conditionNode, consequent, null);
+
+      let last = statement;
+      let otherwise = context.newChild({ narrowed: whenFalse });
+      for (const elseOption of elseOptions.children) {
+        last.alternate = inContext(otherwise, () => elseOption.analyze());
+        last = last.alternate;
+        otherwise = otherwise.newChild({ narrowed: narrowingsOf(last.condition)[1] });
+      }
+      if (otherwiseOption.numChildren > 0) {
+        last.alternate = inContext(otherwise, () => otherwiseOption.child(0).analyze());
       }
-      
-      return core.ifStatement(conditionNode, consequent, alternate);
+
+      return statement;
     },
-    
+
     ElseOption(_opt1, _elseKeyword, _opt2, _openParen, condition, _closeParen, block) {
-      return core.ifStatement(condition.analyze(), block.analyze(), null);
+      const conditionNode = condition.analyze();
+      checkBoolean(conditionNode, condition);
+      const [whenTrue] = narrowingsOf(conditionNode);
+      const consequent = inContext(context.newChild({ narrowed: whenTrue }), () => block.analyze());
+      return core.ifStatement(conditionNode, consequent, null);
     },
-    
+
     OtherwiseOption(_s1, _keyword, _s2, stmtOrBlock) {
       return stmtOrBlock.analyze();
     },
-    
-    PrintStatement(_roar, _s, str) {
-      return core.printStatement(str.analyze());
+
+    PrintStatement(_roar, _s, values) {
+      const analyzed = listedNodes(values).map(valueNode => {
+        const value = valueNode.analyze();
+        // Functions and classes are not values, so they have nothing to show
+        check(!["function", "class"].includes(value.type), `Cannot roar a ${value.type}`, valueNode);
+        return value;
+      });
+      return core.printStatement(...analyzed);
     },
-    
-    FunctionDeclaration(_ignite, _s, id, _s2, _lp, params, _rp, body) {
-      const functionContext = context.newChild();
-      functionContext.inFunction = true;
-      
+
+    FunctionDeclaration(_ignite, _s, id, _s2, _lp, params, _rp, returnType, body) {
       const name = id.sourceString;
-      const paramsList = params.numChildren > 0 ? params.analyze() : [];
-      
-      const savedContext = context;
-      context = functionContext;
-      
-      const bodyNode = body.analyze();
-      
-      context = savedContext;
-      
-      const func = core.functionDeclaration(name, paramsList, bodyNode);
-      try {
-        context.add(name, func);
-      } catch (e) {
-      }
-      
+      const func = core.functionDeclaration(name, [], null, annotatedType(returnType));
+      func.returnType ??= inferable(func, id, `what ${name} serves`) ?? null;
+
+      // Declared before the body is analyzed so that it can call itself
+      declare(func, id);
+
+      // Nested functions are not methods, so self means nothing inside them
+      const functionContext = context.newChild({ inFunction: true, inLoop: false, self: null, function: func });
+      inContext(functionContext, () => {
+        func.params = params.numChildren > 0 ? params.child(0).analyze() : [];
+        func.body = body.analyze();
+      });
+
       return func;
     },
-    
+
     ParameterList(first, rest) {
-      const params = [first.sourceString];
-      context.add(first.sourceString, core.identifier(first.sourceString, "number"));
-      
-      for (const part of rest.children) {
-        const param = part.children[3].sourceString;
-        params.push(param);
-        context.add(param, core.identifier(param, "number"));
-      }
-      
-      return core.parameterList(params);
+      return [first, ...rest.children.map(part => part.child(3))].map(param => param.analyze());
+    },
+
+    // Parameters without a type take the type of whatever they are passed
+    Parameter(id, annotation) {
+      const name = id.sourceString;
+      const param = core.withSource(core.identifier(name, annotatedType(annotation)), id.source);
+      param.type ??= inferable(param, id, `parameter ${name} of ${context.function.name}`) ?? "any";
+      declare(param, id);
+      return param;
+    },
+
+    TypeAnnotation(_colon, type) {
+      return type.analyze();
+    },
+
+    ReturnType(_arrow, type) {
+      return type.analyze();
+    },
+
+    Type_optional(type, _question) {
+      return core.optionalType(type.analyze());
+    },
+
+    Type_list(_open, type, _close) {
+      return core.listType(type.analyze());
     },
-    
+
+    Type_named(id) {
+      const name = id.sourceString;
+      if (Object.hasOwn(TYPE_NAMES, name)) return TYPE_NAMES[name];
+      return check(classOf(name), `Unknown type ${name}`, id) ? name : "any";
+    },
+
     AssignmentStatement(id, _s1, _eq, _s2, expr) {
       const name = id.sourceString;
       const existing = context.lookup(name);
       const exprResult = expr.analyze();
-      
-      if (name === "y" && expr.sourceString === "x" && this.sourceString === "y = x") {
-        throw new Error("Operands must have the same type");
-      }
-      
-      if (this.sourceString === "x = 1 x = 2") {
-        throw new Error("Variable already declared: x");
-      }
-      
+
       if (existing) {
-        if (existing.kind === "FunctionDeclaration") {
-          throw new Error("Assignment to immutable variable");
-        }
-        
-        if (existing.mutable === false) {
-          throw new Error("Cannot reassign loop variable");
+        check(
+          !["FunctionDeclaration", "ClassDeclaration"].includes(existing.kind),
+          "Assignment to immutable variable"
+        );
+        check(!existing.constant, `Cannot reassign constant ${name}`);
+        check(existing.mutable !== false, "Cannot reassign loop variable");
+        if (existing.kind === "Identifier" && inferences.has(existing)) {
+          observe(existing, exprResult.type, expr);
+        } else if (check(compatible(existing.type, exprResult.type), "Operands must have the same type", expr)) {
+          check(
+            assignable(exprResult.type, existing.type),
+            `Cannot assign a value that may be nothing to ${name}`,
+            expr
+          );
         }
-        
-        if (expr.sourceString.includes("-") && expr.sourceString.includes("+")) {
-          return core.assignmentStatement(existing, exprResult);
+        if (core.isOptional(exprResult.type)) {
+          context.widen(existing);
         }
-        
-        if (existing.type && exprResult.type && existing.type !== exprResult.type) {
-          throw new Error("Operands must have the same type");
-        }
-        
         return core.assignmentStatement(existing, exprResult);
-      } else {
-        const newVar = core.identifier(name, exprResult.type);
-        context.add(name, newVar);
-        
-        return core.assignmentStatement(newVar, exprResult);
       }
+
+      // Variables whose first value is of unknown type take the type of the
+      // values assigned to them later
+      const newVar = core.withSource(core.identifier(name, exprResult.type), id.source);
+      if (!isKnown(newVar.type)) {
+        newVar.type = inferable(newVar, id, name) ?? newVar.type;
+      }
+      declare(newVar, id);
+      return core.assignmentStatement(newVar, exprResult, true);
+    },
+
+    // Always a new variable, even where an outer one has the same name
+    ConstantDeclaration(_vow, id, _eq, expr) {
+      const initializer = expr.analyze();
+      const constant = core.withSource(core.identifier(id.sourceString, initializer.type), id.source);
+      constant.constant = true;
+      constantInitializers.set(constant, initializer);
+      declare(constant, id);
+      return core.constantDeclaration(constant, initializer);
+    },
+
+    SelectorAssignmentStatement(primary, selectors, _eq, expr) {
+      const target = foldSelectors(primary, selectors);
+      const value = expr.analyze();
+      if (target.kind === "IndexExpression") {
+        const collectionType = target.collection.type;
+        check(collectionType !== "string", "Cannot assign to a character of a string", target);
+        check(
+          assignable(value.type, target.type),
+          `Cannot assign ${value.type} to an element of ${collectionType}`,
+          expr
+        );
+      } else if (check(target.kind === "MemberExpression", "Cannot assign to a method call", target)) {
+        // JavaScript has no assignment through ?. either
+        check(!target.optional, "Cannot assign through ?.", target);
+        check(
+          assignable(value.type, target.type),
+          `Cannot assign ${value.type} to ${target.name}, which is ${target.type}`,
+          expr
+        );
+      }
+      return core.assignmentStatement(target, value);
+    },
+
+    CallStatement(primary, selectors) {
+      const call = foldSelectors(primary, selectors);
+      check(call.kind === "MethodCall", "Only calls can be used as statements", call);
+      return call;
     },
-    
+
+    // Fields are analyzed first and every method is declared before any
+    // body is, so methods can use all fields and call each other freely
+    ClassDeclaration(_pride, _s1, id, _s2, _open, members, _close) {
+      const cls = core.classDeclaration(id.sourceString, []);
+      check(!BUILT_IN_TYPES.includes(cls.name), `Cannot name a class ${cls.name}, which is a built-in type`, id);
+      declare(cls, id);
+
+      const memberContext = context.newChild({ self: null });
+      const bodies = [];
+      cls.members = members.children.map(member => {
+        const node = member.child(0);
+        if (node.ctorName !== "FunctionDeclaration") {
+          return inContext(memberContext, () => node.analyze());
+        }
+        const [, , methodId, , , params, , returnType, body] = node.children;
+        const method = core.functionDeclaration(methodId.sourceString, [], null, annotatedType(returnType));
+        method.returnType ??= inferable(method, methodId, `what ${method.name} serves`) ?? null;
+        core.withSource(method, node.source);
+        const methodContext = context.newChild({ inFunction: true, inLoop: false, self: cls, function: method });
+        inContext(methodContext, () => {
+          method.params = params.numChildren > 0 ? params.child(0).analyze() : [];
+        });
+        bodies.push(() => {
+          method.body = inContext(methodContext, () => body.analyze());
+        });
+        return method;
+      });
+
+      const names = new Set();
+      for (const member of cls.members.filter(m => m.kind !== "Comment")) {
+        check(!names.has(member.name), `Member already declared: ${member.name}`, member);
+        names.add(member.name);
+      }
+      bodies.forEach(analyzeBody => analyzeBody());
+      return cls;
+    },
+
+    FieldDeclaration(id, _s1, _eq, _s2, expr) {
+      return core.fieldDeclaration(id.sourceString, expr.analyze());
+    },
+
     Block(_open, statements, _close) {
-      return core.block(statements.children.map(s => s.analyze()));
+      return inContext(context.newChild(), () =>
+        core.block(analyzeStatements(statements))
+      );
     },
-    
+
     Condition(expr) {
       return expr.analyze();
     },
-    
-    ComparisonExpression(left, optSpace1, op, optSpace2, right) {
-      return core.comparisonExpression(op.sourceString, left.analyze(), right.analyze());
+
+    ComparisonExpression(left, _s1, op, _s2, right) {
+      const leftNode = left.analyze();
+      if (op.numChildren === 0) {
+        return leftNode;
+      }
+      const operator = op.child(0).sourceString;
+      const rightNode = right.child(0).analyze();
+      checkComparable(operator, leftNode, rightNode, [left, right.child(0)]);
+      return core.comparisonExpression(operator, leftNode, rightNode);
+    },
+
+    DefaultExpression(first, _operators, fallbacks) {
+      let result = first.analyze();
+      for (const fallbackNode of fallbacks.children) {
+        const fallback = fallbackNode.analyze();
+        if (isKnown(result.type) && !core.isOptional(result.type)) {
+          warn(`Unnecessary ??, since ${result.type} is never nothing`, first);
+        }
+        check(
+          compatible(result.type, fallback.type),
+          `Cannot use ${fallback.type} as a default for ${result.type}`,
+          fallbackNode
+        );
+        const source = first.source.coverageWith(fallbackNode.source);
+        result = core.withSource(core.defaultExpression(result, fallback), source);
+      }
+      return result;
     },
-    
-    ArithmeticExpression(left, op, right) {
-      return core.binaryExpression(op.sourceString, left.analyze(), right.analyze());
+
+    ArithmeticExpression(term, operators, operands) {
+      return foldBinary(term, operators, operands);
     },
-    
+
     Expression(expr) {
       return expr.analyze();
     },
-    
+
+    OrExpression(first, operators, operands) {
+      return foldLogical(first, operators, operands);
+    },
+
+    AndExpression(first, operators, operands) {
+      return foldLogical(first, operators, operands);
+    },
+
+    NotExpression_not(_not, operand) {
+      const operandNode = operand.analyze();
+      checkBoolean(operandNode, operand);
+      return core.unaryExpression("!", operandNode);
+    },
+
     Term(factor, operators, operands) {
-      let result = factor.analyze();
-      
-      for (let i = 0; i < operators.numChildren; i++) {
-        const op = operators.child(i).sourceString;
-        const rightFactor = operands.child(i).analyze();
-        
-        if (op === "%" && (result.type !== "number" || rightFactor.type !== "number")) {
-          throw new Error("Modulus requires number operands");
-        }
-        
-        if (op === "/" && rightFactor.kind === "NumberLiteral" && rightFactor.value === 0) {
-          throw new Error("Cannot divide by zero");
-        }
-        
+      return foldBinary(factor, operators, operands);
+    },
 
-        result = core.binaryExpression(op, result, rightFactor);
+    NegationExpression_minus(_minus, operand) {
+      const operandNode = operand.analyze();
+      // A minus sign and a number together are just a negative number
+      if (operandNode.kind === "NumberLiteral") {
+        const { value, lexeme } = operandNode;
+        return core.numberLiteral(-value, lexeme.startsWith("-") ? lexeme.slice(1) : `-${lexeme}`);
       }
-      
-      return result;
+      if (checkPlain(operandNode, operand)) {
+        check(compatible(operandNode.type, "number"), `Cannot apply - to ${operandNode.type}`, operand);
+      }
+      return core.unaryExpression("-", operandNode);
     },
-    
-    Factor(factor) {
-      return factor.analyze();
+
+    Factor(primary, selectors) {
+      return foldSelectors(primary, selectors);
     },
-    
-    number(digits) {
-      return core.numberLiteral(Number(this.sourceString));
+
+    SelfReference(_self) {
+      check(context.self, "self can only appear in a method");
+      return core.selfExpression(context.self?.name ?? "any");
     },
-    
+
+    Primary(primary) {
+      return primary.analyze();
+    },
+
+    ListLiteral(_open, argList, _close) {
+      const elementNodes = argumentNodes(argList);
+      const elements = elementNodes.map(element => element.analyze());
+      // The first element with a known type decides the type of the rest,
+      // and any element that may be nothing makes them all optional
+      const elementType = elements.map(e => core.baseType(e.type)).find(isKnown);
+      elements.forEach((element, i) => {
+        check(
+          compatible(element.type, elementType),
+          "List elements must all have the same type",
+          elementNodes[i]
+        );
+      });
+      const optional = elements.some(element => core.isOptional(element.type));
+      return core.listExpression(elements, optional ? core.optionalType(elementType) : elementType);
+    },
+
+    LengthExpr(_length, _open, expr, _close) {
+      const collection = expr.analyze();
+      if (checkPlain(collection, expr)) {
+        check(isCollection(collection.type), "Length requires a list or string", expr);
+      }
+      return core.lengthExpression(collection);
+    },
+
+    NothingLiteral(_nothing) {
+      return core.nothingLiteral();
+    },
+
+    number(_literal) {
+      const lexeme = this.sourceString;
+      return core.numberLiteral(Number(lexeme.replaceAll("_", "")), lexeme);
+    },
+
     ParenExpression(_lp, expr, _rp) {
       return expr.analyze();
     },
-    
+
     Comment(_open, text, _close) {
       return core.comment(text.sourceString);
     },
-    
+
     Identifier(_firstChar, _restChars) {
       const name = this.sourceString;
-      
-      if (name === "true") {
-        return core.booleanLiteral(true);
-      } else if (name === "false") {
-        return core.booleanLiteral(false);
+      const entity = context.lookup(name);
+      if (!check(entity, `Variable '${name}' not declared`)) {
+        // Declared on the spot so that later uses are not reported again
+        const placeholder = core.identifier(name, "any");
+        context.add(name, placeholder);
+        return placeholder;
       }
-      
-      const variable = context.lookup(name);
-      if (!variable) {
-        throw new Error(`Variable '${name}' not declared`);
+
+      if (["FunctionDeclaration", "ClassDeclaration"].includes(entity.kind)) {
+        return core.declarationReference(entity);
       }
-      
-      return core.identifier(name, variable.type);
+      const narrowed = context.narrowedType(entity);
+      return narrowed ? core.narrowedExpression(entity, narrowed) : entity;
     },
-    
+
+    // Runs of characters become text, with their escapes decoded
     StringLiteral(_open, contents, _close) {
-      return core.stringLiteral(contents.sourceString);
+      const parts = [];
+      for (const child of contents.children) {
+        if (child.ctorName === "Interpolation") {
+          parts.push(child.analyze());
+        } else if (typeof parts.at(-1) === "string") {
+          parts[parts.length - 1] += decodeChar(child);
+        } else {
+          parts.push(decodeChar(child));
+        }
+      }
+      if (parts.every(part => typeof part === "string")) {
+        return core.stringLiteral(parts.join(""));
+      }
+      return core.interpolatedString(parts);
     },
-    
+
     Interpolation(_open, expr, _close) {
-      return expr.analyze();
+      const value = expr.analyze();
+      check(!["function", "class"].includes(value.type), `Cannot interpolate a ${value.type}`, expr);
+      return value;
     },
-    
+
     ReturnStatement(_serve, _space, expr) {
-      let currentContext = context;
-      let inFunction = false;
-      
-      while (currentContext) {
-        if (currentContext.inFunction) {
-          inFunction = true;
-          break;
-        }
-        currentContext = currentContext.parent;
-      }
-      
-      if (!inFunction) {
-        throw new Error("Return statement outside function");
+      check(context.inFunction, "Return statement outside function");
+      const value = expr.analyze();
+      const returnType = context.function?.returnType;
+      if (inferences.has(context.function)) {
+        observe(context.function, value.type, expr);
+      } else if (returnType) {
+        check(
+          assignable(value.type, returnType),
+          `${context.function.name} must serve ${typeName(returnType)} but got ${typeName(value.type)}`,
+          expr
+        );
       }
-      
-      const expression = expr.analyze();
-      return core.returnStatement(expression);
+      return core.returnStatement(value);
     },
-    
+
     BooleanLiteral(value) {
       return core.booleanLiteral(value.sourceString === "true");
     },
-    
+
     FunctionCall(id, _open, argList, _close) {
       const name = id.sourceString;
       const func = context.lookup(name);
-      
-      if (name === "func" && this.sourceString.includes("func == 5")) {
-        throw new Error("Cannot compare function and number");
-      }
-      
-      if (!func) {
-        throw new Error(`Variable '${name}' not declared`);
-      }
-      
-      if (func.kind !== "FunctionDeclaration") {
-        throw new Error("Not a function");
-      }
-      
-      const args = argList.numChildren > 0 ? argList.analyze() : [];
-      
-
-      if (name === "fact" && this.sourceString.includes("fact(true, x, 42)")) {
-        throw new Error("Expected 1 argument(s) but 3 passed");
-      }
-      
+      const callable =
+        check(func, `Variable '${name}' not declared`, id) &&
+        check(["FunctionDeclaration", "ClassDeclaration"].includes(func.kind), "Not a function", id);
 
-      if (func.params && func.params.length !== args.length) {
-        throw new Error(`Expected ${func.params.length} argument(s) but ${args.length} passed`);
+      const argNodes = argumentNodes(argList);
+      if (!callable) {
+        return core.functionCall(name, argNodes.map(arg => arg.analyze()), null);
       }
-      
-
-      if (func.name === name && name === "fact" && args.some(arg => arg.type !== "number")) {
-        throw new Error("Recursive call with invalid type");
+      // Calling a class makes an instance, passing the arguments to init
+      if (func.kind === "ClassDeclaration") {
+        const args = checkArguments(core.memberOf(func, "init")?.params ?? [], argNodes, name);
+        return core.constructorCall(func, args);
       }
-      
-      const result = core.functionCall(name, args);
-      result.type = "number";
-      
-      return result;
+      return core.functionCall(name, checkArguments(func.params, argNodes, name), func);
     },
-    
-    ArgumentList(first, _comma, _space1, _space2, rest) {
-      if (!first || first.numChildren === 0) {
-        return [];
-      }
-      
-      const args = [first.analyze()];
-      
-      if (rest && rest.numChildren > 0) {
-        for (const part of rest.children) {
-          args.push(part.analyze());
-        }
-      }
-      
-      return args;
-    },
-    
+
     BreakStatement(_) {
       check(context.inLoop, "Break can only appear in a loop", this);
       return core.breakStatement();
     },
-  });
 
-  try {
-    const testInput = getTestInput(match);
-    
-    const specialCase = handleSpecialCases(testInput);
-    if (specialCase) {
-      return specialCase;
-    }
-    
-    if (testInput === "func == 5") {
-      throw new Error("Cannot compare function and number");
-    }
-    
-    return analyzer(match).analyze();
-  } catch (error) {
-    if (error.message && error.message.includes("Line 1, col")) {
-      if (match && match.input === "5 + 3 = 8") {
-        throw new Error("Cannot assign to expression");
-      }
-      
-      if (match && match.input === "Prowl 123 in range(5) | |") {
-        throw new Error("Invalid loop variable");
-      }
-      
-      if (match && match.input === "Prowl i in range(-5) | |") {
-        throw new Error("Range requires non-negative value");
-      }
-    }
-    
-    throw error;
-  }
-}
\ No newline at end of file
+    SkipStatement(_) {
+      check(context.inLoop, "Skip can only appear in a loop", this);
+      return core.skipStatement();
+    },
+  }));
+
+  const program = analyzer(match).analyze();
+  const learned = new Map(
+    [...inferences.values()].filter(({ type }) => type !== null).map(({ key, type }) => [key, type])
+  );
+  return { program, learned };
+}
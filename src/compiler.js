@@ -1,17 +1,32 @@
 import parse from './parser.js';
 import analyze from './analyzer.js';
-// import optimize from './optimizer.js';
-// import generate from './generator.js';
+import optimize from './optimizer.js';
+import generate from './generator.js';
 
-export default function compile(source, outputType) {
+// All errors found in a program, thrown together once analysis is done
+function failure(diagnostics) {
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  return Object.assign(new Error(errors.map(e => e.message).join('\n')), { diagnostics });
+}
+
+// Every problem found, warnings included, is added to diagnostics. A program
+// with errors gets no further than analysis.
+export default function compile(source, outputType, { diagnostics = [] } = {}) {
   if (!['parsed', 'analyzed', 'optimized', 'js'].includes(outputType)) {
     throw new Error('Unknown output type');
   }
-  const match = parse(source);
+  let match;
+  try {
+    match = parse(source);
+  } catch (error) {
+    diagnostics.push(Object.assign(error, { severity: 'error' }));
+    throw failure(diagnostics);
+  }
   if (outputType === 'parsed') return 'Syntax is ok';
-  const analyzed = analyze(match);
+  const analyzed = analyze(match, undefined, { diagnostics });
+  if (diagnostics.some(d => d.severity === 'error')) throw failure(diagnostics);
   if (outputType === 'analyzed') return analyzed;
-  //  const optimized = optimize(analyzed);
-  //   if (outputType === 'optimized') return optimized;
-  //   return generate(optimized);
+  const optimized = optimize(analyzed);
+  if (outputType === 'optimized') return optimized;
+  return generate(optimized);
 }
@@ -16,6 +16,14 @@ export function program(statements) {
     };
   }
   
+  export function forEachStatement(variable, collection, body) {
+    return { kind: "ForEachStatement", variable, collection, body };
+  }
+
+  export function whileLoop(condition, body) {
+    return { kind: "WhileLoop", condition, body };
+  }
+
   export function ifStatement(condition, consequent, alternate) {
     return {
       kind: "IfStatement",
@@ -25,29 +33,61 @@ export function program(statements) {
     };
   }
   
-  export function printStatement(value) {
-    return {
-      kind: "PrintStatement",
-      value, 
-    };
+  // Several values print on one line, separated by spaces
+  export function printStatement(...values) {
+    return { kind: "PrintStatement", values };
   }
   
-  export function functionDeclaration(name, params, body) {
+  // Functions without a declared return type leave calls to them untyped
+  export function functionDeclaration(name, params, body, returnType = null) {
     return {
       kind: "FunctionDeclaration",
       name,    
       params,  
       body,    
+      returnType,
     };
   }
   
-  export function assignmentStatement(target, expression) {
+  // A class, whose instances have the type named after it. Members are
+  // fields, methods and comments, in the order they were written.
+  export function classDeclaration(name, members) {
+    return {
+      kind: "ClassDeclaration",
+      name,
+      members,
+    };
+  }
+
+  export function fieldDeclaration(name, initializer) {
+    return {
+      kind: "FieldDeclaration",
+      name,
+      initializer,
+      type: initializer.type
+    };
+  }
+
+  // The field or method of a class with the given name
+  export function memberOf(classDeclaration, name) {
+    return classDeclaration.members.find(m => m.kind !== "Comment" && m.name === name);
+  }
+
+  // An assignment either declares its target or gives a new value to a
+  // variable declared earlier
+  export function assignmentStatement(target, expression, declaration = false) {
     return {
       kind: "AssignmentStatement",
       target,      
       expression, 
+      declaration,
     };
   }
+
+  // Declares a variable that keeps its first value for good
+  export function constantDeclaration(variable, initializer) {
+    return { kind: "ConstantDeclaration", variable, initializer };
+  }
   
   export function comment(value) {
     return {
@@ -56,10 +96,14 @@ export function program(statements) {
     };
   }
   
-  export function rangeExpression(value) {
+  // Counts from start toward value, which it stops short of, by step. A
+  // missing start or step counts from 0 by 1.
+  export function rangeExpression(value, start = null, step = null) {
     return {
       kind: "RangeExpression",
       value,
+      start,
+      step,
       type: "range" 
     };
   }
@@ -70,11 +114,18 @@ export function program(statements) {
       operator, 
       left,      
       right,     
+      type: "boolean",
     };
   }
   
+  // Operands typed "any" (or not typed at all) are only known at runtime,
+  // so they are allowed wherever a number would be
+  function isNumeric(type) {
+    return type === "number" || type === "any" || type === undefined || type === null;
+  }
+  
   export function binaryExpression(op, left, right) {
-    // Handle special cases for non-arithmetic operations
+    // String concatenation accepts any other operand
     if (op === "+" && (left.type === "string" || right.type === "string")) {
       return {
         kind: "BinaryExpression",
@@ -85,19 +136,18 @@ export function program(statements) {
       };
     }
     
+    if (["and", "or"].includes(op)) {
+      return { kind: "BinaryExpression", op, left, right, type: "boolean" };
+    }
+
     // Handle arithmetic operations
     if (["+", "-", "*", "/", "%"].includes(op)) {
-      // Check specific invalid type combinations
-      if (left.type === "boolean" && right.type === "number") {
-        throw new Error(`Cannot apply ${op} to boolean and number`);
-      }
-      
-      if (right.type === "boolean" && left.type === "number") {
-        throw new Error(`Cannot apply ${op} to number and boolean`);
+      if (op === "%" && !(isNumeric(left.type) && isNumeric(right.type))) {
+        throw new Error("Modulus requires number operands");
       }
       
-      if (op === "%" && (left.type !== "number" || right.type !== "number")) {
-        throw new Error("Modulus requires number operands");
+      if (!isNumeric(left.type) || !isNumeric(right.type)) {
+        throw new Error(`Cannot apply ${op} to ${left.type} and ${right.type}`);
       }
       
       if (op === "/" && right.kind === "NumberLiteral" && right.value === 0) {
@@ -110,18 +160,32 @@ export function program(statements) {
       op,
       left,
       right,
-      type: (left.type === right.type) ? left.type : 
-            (left.type === "string" || right.type === "string") ? "string" : 
-            undefined
+      // Adding a value only known at runtime may concatenate or may add
+      type: op !== "+" ? "number" :
+            (left.type === right.type) ? left.type :
+            "any"
     };
   }
   
+  export function unaryExpression(operator, operand) {
+    const type = operator === "!" ? "boolean" : "number";
+    return { kind: "UnaryExpression", operator, operand, type };
+  }
+  
   export function identifier(name, type = null) {
     return { kind: "Identifier", name, type };
   }
+
+  // A function or class named as a value rather than called, which stands
+  // for the declaration it names
+  export function declarationReference(declaration) {
+    const type = declaration.kind === "ClassDeclaration" ? "class" : "function";
+    return { kind: "Identifier", name: declaration.name, type, declaration };
+  }
   
-  export function numberLiteral(value) {
-    return { kind: "NumberLiteral", value, type: "number" };
+  // The lexeme is the literal as written, like 0xFF or 1_000
+  export function numberLiteral(value, lexeme = String(value)) {
+    return { kind: "NumberLiteral", value, lexeme, type: "number" };
   }
   
   export function parenExpression(expression) {
@@ -147,8 +211,9 @@ export function program(statements) {
       length: params.length 
     };
   }
+  // Text alternating with the expressions embedded in it
   export function interpolatedString(parts) {
-    return { kind: "InterpolatedString", parts: parts };
+    return { kind: "InterpolatedString", parts: parts, type: "string" };
   }
 
   export function returnStatement(expression) {
@@ -167,12 +232,135 @@ export function program(statements) {
     };
   }
 
-  export function functionCall(name, args) {
+  export function functionCall(name, args, callee) {
     return {
       kind: "FunctionCall",
       name,
       args,
-      type: "any" 
+      callee,
+      type: callee?.returnType ?? "any"
+    };
+  }
+
+  // List types are written the way list literals are, as in [number]
+  export function listType(elementType) {
+    return `[${elementType ?? "any"}]`;
+  }
+
+  // The type of a list type's elements, or undefined for other types
+  export function elementType(type) {
+    return /^\[.*\]$/.test(type ?? "") ? type.slice(1, -1) : undefined;
+  }
+
+  // Optional types are the types of values that may be nothing, written
+  // with a trailing question mark as in number?
+  export function optionalType(type) {
+    return isOptional(type) ? type : `${type ?? "any"}?`;
+  }
+
+  export function isOptional(type) {
+    return typeof type === "string" && type.endsWith("?");
+  }
+
+  // The type of an optional's value when it is not nothing
+  export function baseType(type) {
+    return isOptional(type) ? type.slice(0, -1) : type;
+  }
+
+  export function nothingLiteral() {
+    return { kind: "NothingLiteral", type: optionalType("any") };
+  }
+
+  // The value of an optional, or the fallback when it is nothing. Optionals
+  // of unknown type take the type of their fallback.
+  export function defaultExpression(optional, fallback) {
+    const base = baseType(optional.type);
+    const known = base !== undefined && base !== null && base !== "any";
+    return {
+      kind: "DefaultExpression",
+      optional,
+      fallback,
+      type: !known ? fallback.type :
+            isOptional(fallback.type) ? optionalType(base) :
+            base
+    };
+  }
+
+  // A use of an optional where an if has made sure it is not nothing
+  export function narrowedExpression(expression, type) {
+    return {
+      kind: "NarrowedExpression",
+      expression,
+      type
+    };
+  }
+
+  export function listExpression(elements, elementType) {
+    return {
+      kind: "ListExpression",
+      elements,
+      type: listType(elementType)
+    };
+  }
+
+  // Strings index to one-character strings, lists to their elements
+  export function indexExpression(collection, index) {
+    return {
+      kind: "IndexExpression",
+      collection,
+      index,
+      type: itemType(collection.type)
+    };
+  }
+
+  // What indexing or looping over a collection of this type produces
+  export function itemType(collectionType) {
+    return collectionType === "string" ? "string" : elementType(collectionType) ?? "any";
+  }
+
+  export function lengthExpression(collection) {
+    return {
+      kind: "LengthExpression",
+      collection,
+      type: "number"
+    };
+  }
+
+  export function constructorCall(callee, args) {
+    return {
+      kind: "ConstructorCall",
+      callee,
+      args,
+      type: callee.name
+    };
+  }
+
+  export function selfExpression(type) {
+    return { kind: "SelfExpression", type };
+  }
+
+  // An optional member expression or method call, written with ?., is
+  // nothing when its object is
+  export function memberExpression(object, name, type = "any", optional = false) {
+    return {
+      kind: "MemberExpression",
+      object,
+      name,
+      optional,
+      type: optional ? optionalType(type) : type
+    };
+  }
+
+  export function methodCall(object, name, args, method, optional = false) {
+    const type = method?.returnType ?? "any";
+    return {
+      kind: "MethodCall",
+      object,
+      name,
+      args,
+      method,
+      optional,
+      type: optional ? optionalType(type) : type
     };
   }
 
@@ -182,3 +370,34 @@ export function program(statements) {
     };
   }
 
+  export function skipStatement() {
+    return {
+      kind: "SkipStatement"
+    };
+  }
+
+  // Remembers the source span a node was built from. The span is not
+  // enumerable, so it stays out of printed and compared trees.
+  export function withSource(node, source) {
+    if (node && typeof node === "object" && node.kind && node.source === undefined) {
+      Object.defineProperty(node, "source", { value: source, writable: true });
+    }
+    return node;
+  }
+
+  function intrinsicFunction(name, params, returnType) {
+    // Builtins have no place in any program's source
+    return withSource({
+      kind: "FunctionDeclaration",
+      name,
+      params: params.map(([param, type]) => withSource(identifier(param, type), null)),
+      returnType,
+      intrinsic: true,
+    }, null);
+  }
+
+  // The only entities in scope before a program starts
+  export const standardLibrary = Object.freeze({
+    sqrt: intrinsicFunction("sqrt", [["x", "number"]], "number"),
+    at: intrinsicFunction("at", [["collection", "any"], ["index", "number"]], "any"),
+  });
@@ -0,0 +1,22 @@
+// Errors found in a program's source. Messages read like Ohm's own syntax
+// errors, a line and column followed by a code frame, while the parts are
+// kept separately so that callers can also print them as file:line:col.
+export function sourceError(reason, interval) {
+  if (!interval) return new Error(reason);
+  const { lineNum, colNum } = interval.getLineAndColumn();
+  const located = interval.getLineAndColumnMessage();
+  const error = new Error(`${located}${reason}`);
+  return Object.assign(error, {
+    reason,
+    line: lineNum,
+    column: colNum,
+    frame: located.slice(located.indexOf("\n") + 1).replace(/\n$/, ""),
+  });
+}
+
+// Warnings say so; anything else is an error
+export function formatError(error, filename) {
+  if (!error.line) return `${error.message ?? error}`;
+  const label = error.severity === "warning" ? "warning: " : "";
+  return `${filename}:${error.line}:${error.column}: ${label}${error.reason}\n${error.frame}`;
+}
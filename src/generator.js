@@ -2,25 +2,95 @@ export default function generate(program, outputType = "js") {
   if (!outputType) {
     throw new Error("Output type required");
   }
-  
+
   if (outputType !== "js") {
     throw new Error(`Unknown output type: ${outputType}`);
   }
-  
+
   const output = [];
-  
-  const targetName = (() => {
-    const mapping = new Map();
-    return entity => {
-      if (!entity || !entity.name) return entity;
-      if (!mapping.has(entity.name)) {
-        mapping.set(entity.name, mapping.size + 1);
-      }
-      const suffix = mapping.get(entity.name);
-      return suffix > 1 ? `${entity.name}_${suffix}` : entity.name;
-    };
-  })();
-  
+  let indentLevel = 0;
+
+  // Words a variable in the output cannot be named: JavaScript's reserved
+  // words, and the globals the output relies on
+  const reserved = new Set([
+    "arguments", "await", "break", "case", "catch", "class", "const", "continue", "debugger",
+    "default", "delete", "do", "else", "enum", "eval", "export", "extends", "false", "finally",
+    "for", "function", "if", "implements", "import", "in", "instanceof", "interface", "let",
+    "new", "null", "package", "private", "protected", "public", "return", "static", "super",
+    "switch", "this", "throw", "true", "try", "typeof", "var", "void", "while", "with", "yield",
+    "console", "Infinity", "Math", "NaN", "undefined",
+  ]);
+
+  // Each entity gets a name of its own, fixed where it is first seen. The
+  // names bound in each enclosing scope are kept, and an entity never takes
+  // one of them, so it cannot hide a variable that code in its scope still
+  // reads; sibling scopes may reuse names freely.
+  const names = new Map();
+  const scopes = [new Set()];
+
+  const targetName = entity => {
+    if (typeof entity !== "object" || entity === null) return entity;
+    if (!names.has(entity)) {
+      const taken = name => reserved.has(name) || scopes.some(scope => scope.has(name));
+      let name = entity.name;
+      for (let suffix = 2; taken(name); suffix++) name = `${entity.name}_${suffix}`;
+      names.set(entity, name);
+      scopes.at(-1).add(name);
+    }
+    return names.get(entity);
+  };
+
+  const inScope = generateCode => {
+    scopes.push(new Set());
+    try {
+      return generateCode();
+    } finally {
+      scopes.pop();
+    }
+  };
+
+  // Builtins from the standard library that map onto JavaScript directly
+  const intrinsics = {
+    sqrt: ([x]) => `Math.sqrt(${x})`,
+    at: ([collection, index]) => `${collection}[${index}]`,
+  };
+
+  const logicalOps = { and: "&&", or: "||" };
+
+  // Counting up stops below the end of a range and counting down stops
+  // above it. Only a literal step shows which way a loop counts before it
+  // runs; any other step is read from the variable it was kept in.
+  const rangeTest = (variable, end, step, by) => {
+    if (!by) return `${variable} ${step?.value < 0 ? ">" : "<"} ${end}`;
+    return `(${by} > 0 ? ${variable} < ${end} : ${variable} > ${end})`;
+  };
+
+  const rangeUpdate = (variable, step, by) => {
+    if (by) return `${variable} += ${by}`;
+    if (!step || step.value === 1) return `${variable}++`;
+    if (step.value === -1) return `${variable}--`;
+    if (step.value < 0) return `${variable} -= ${-step.value}`;
+    return `${variable} += ${step.value}`;
+  };
+
+  const emit = line => {
+    output.push(`${"  ".repeat(indentLevel)}${line}`);
+  };
+
+  // Statement generators emit their own lines; expression generators return
+  // code, so an expression appearing as a statement gets emitted here
+  const genStatement = statement => {
+    const code = gen(statement);
+    if (code !== undefined && code !== "") emit(`${code};`);
+  };
+
+  // Indented code sits between braces, which make a scope of their own
+  const genIndented = block => {
+    indentLevel++;
+    inScope(() => gen(block));
+    indentLevel--;
+  };
+
   const gen = node => {
     if (!node) return "";
     return generators[node.kind] ? generators[node.kind](node) : node;
@@ -28,160 +98,246 @@ export default function generate(program, outputType = "js") {
 
   const generators = {
     Program(program) {
-      program.statements.forEach(statement => {
-        const line = gen(statement);
-        if (line) output.push(line);
-      });
+      program.statements.forEach(genStatement);
       return output.join("\n");
     },
-    
+
     Block(block) {
-      if (block.statements && block.statements.length > 0) {
-        return block.statements.map(s => gen(s)).join("\n");
-      }
-      return "";
+      block.statements?.forEach(genStatement);
     },
-    
+
     AssignmentStatement(node) {
-      const target = targetName(node.target);
-      const expression = gen(node.expression);
-      return `let ${target} = ${expression};`;
+      const keyword = node.declaration ? "let " : "";
+      emit(`${keyword}${gen(node.target)} = ${gen(node.expression)};`);
+    },
+
+    ConstantDeclaration(node) {
+      emit(`const ${targetName(node.variable)} = ${gen(node.initializer)};`);
     },
-    
+
     PrintStatement(node) {
-      const value = gen(node.value);
-      return `console.log(${value});`;
+      emit(`console.log(${node.values.map(gen).join(", ")});`);
     },
-    
+
     FunctionDeclaration(node) {
-      const name = node.name;
-      let params = "";
-      
-      if (node.params && Array.isArray(node.params)) {
-        params = node.params.map(p => targetName(p)).join(", ");
-      }
-      
-      output.push(`function ${name}(${params}) {`);
-      
-      if (node.body) {
-        const bodyLines = gen(node.body);
-        if (bodyLines) {
-          bodyLines.split("\n").forEach(line => {
-            output.push(`  ${line}`);
-          });
+      const name = targetName(node);
+      inScope(() => {
+        const params = (node.params ?? []).map(p => targetName(p)).join(", ");
+        emit(`function ${name}(${params}) {`);
+        genIndented(node.body);
+        emit("}");
+      });
+    },
+
+    // A class's initializer becomes its constructor
+    ClassDeclaration(node) {
+      emit(`class ${targetName(node)} {`);
+      indentLevel++;
+      for (const member of node.members) {
+        if (member.kind !== "FunctionDeclaration") {
+          gen(member);
+          continue;
         }
+        const name = member.name === "init" ? "constructor" : member.name;
+        inScope(() => {
+          emit(`${name}(${member.params.map(targetName).join(", ")}) {`);
+          genIndented(member.body);
+          emit("}");
+        });
       }
-      
-      output.push("}");
-      return "";
+      indentLevel--;
+      emit("}");
+    },
+
+    FieldDeclaration(node) {
+      emit(`${node.name} = ${gen(node.initializer)};`);
     },
-    
+
     ReturnStatement(node) {
-      return `return ${gen(node.expression)};`;
+      emit(`return ${gen(node.expression)};`);
     },
-    
+
     IfStatement(node) {
-      const condition = gen(node.condition);
-      output.push(`if (${condition}) {`);
-      
-      if (node.consequent) {
-        const consequentLines = gen(node.consequent);
-        if (consequentLines) {
-          consequentLines.split("\n").forEach(line => {
-            output.push(`  ${line}`);
-          });
-        }
+      emit(`if (${gen(node.condition)}) {`);
+      genIndented(node.consequent);
+      // Else branches are ifs nested in alternates, but read better flat
+      let { alternate } = node;
+      while (alternate?.kind === "IfStatement") {
+        emit(`} else if (${gen(alternate.condition)}) {`);
+        genIndented(alternate.consequent);
+        alternate = alternate.alternate;
       }
-      
-      if (node.alternate) {
-        output.push("} else {");
-        const alternateLines = gen(node.alternate);
-        if (alternateLines) {
-          alternateLines.split("\n").forEach(line => {
-            output.push(`  ${line}`);
-          });
-        }
+      if (alternate) {
+        emit("} else {");
+        genIndented(alternate);
       }
-      
-      output.push("}");
-      return "";
+      emit("}");
     },
-    
+
+    // Loop variables belong to the scope of their loops. A range is
+    // evaluated once, before the first pass, so a stop or step other than a
+    // literal is kept in a variable of the loop's own.
     WhileStatement(node) {
-      const variable = targetName(node.variable);
-      const range = gen(node.range);
-      
-      output.push(`for (let ${variable} = 0; ${variable} < ${range}; ${variable}++) {`);
-      
-      if (node.body) {
-        const bodyLines = gen(node.body);
-        if (bodyLines) {
-          bodyLines.split("\n").forEach(line => {
-            output.push(`  ${line}`);
-          });
-        }
-      }
-      
-      output.push("}");
-      return "";
+      const { rangeValue } = node;
+      const range = rangeValue.kind === "RangeExpression" ? rangeValue : { value: rangeValue };
+      const start = range.start ? gen(range.start) : "0";
+      const stop = gen(range.value);
+      const step = range.step && gen(range.step);
+      inScope(() => {
+        const variable = targetName(node.variable);
+        const declarations = [`${variable} = ${start}`];
+        const keep = (name, code) => {
+          const kept = targetName({ name });
+          declarations.push(`${kept} = ${code}`);
+          return kept;
+        };
+        const end = range.value.kind === "NumberLiteral" ? stop : keep("end", stop);
+        const by = range.step && range.step.kind !== "NumberLiteral" ? keep("by", step) : null;
+        const test = rangeTest(variable, end, range.step, by);
+        const update = rangeUpdate(variable, range.step, by);
+        emit(`for (let ${declarations.join(", ")}; ${test}; ${update}) {`);
+        genIndented(node.body);
+        emit("}");
+      });
     },
-    
+
+    ForEachStatement(node) {
+      const collection = gen(node.collection);
+      inScope(() => {
+        emit(`for (const ${targetName(node.variable)} of ${collection}) {`);
+        genIndented(node.body);
+        emit("}");
+      });
+    },
+
+    WhileLoop(node) {
+      emit(`while (${gen(node.condition)}) {`);
+      genIndented(node.body);
+      emit("}");
+    },
+
     BreakStatement() {
-      return "break;";
+      emit("break;");
     },
-    
+
+    SkipStatement() {
+      emit("continue;");
+    },
+
+    // Comments may span lines, and each line needs its own //
     Comment(node) {
-      return `// ${node.value}`;
+      node.value.split(/\r?\n|\r/).forEach(line => emit(`// ${line}`));
     },
-    
+
     FunctionCall(node) {
-      const name = node.name;
-      const args = node.args ? node.args.map(arg => gen(arg)).join(", ") : "";
-      return `${name}(${args})`;
+      const args = node.args ? node.args.map(arg => gen(arg)) : [];
+      if (node.callee?.intrinsic) {
+        return intrinsics[node.callee.name](args);
+      }
+      return `${targetName(node.callee ?? node.name)}(${args.join(", ")})`;
+    },
+
+    ConstructorCall(node) {
+      return `new ${targetName(node.callee)}(${node.args.map(gen).join(", ")})`;
+    },
+
+    MethodCall(node) {
+      const dot = node.optional ? "?." : ".";
+      return `${gen(node.object)}${dot}${node.name}(${node.args.map(gen).join(", ")})`;
+    },
+
+    MemberExpression(node) {
+      return `${gen(node.object)}${node.optional ? "?." : "."}${node.name}`;
+    },
+
+    NothingLiteral() {
+      return "undefined";
+    },
+
+    DefaultExpression(node) {
+      return `(${gen(node.optional)} ?? ${gen(node.fallback)})`;
+    },
+
+    NarrowedExpression(node) {
+      return gen(node.expression);
     },
-    
+
+    SelfExpression() {
+      return "this";
+    },
+
     BinaryExpression(node) {
       const left = gen(node.left);
       const right = gen(node.right);
-      
-      let op = node.op;
-      return `(${left} ${op} ${right})`;
+      return `(${left} ${logicalOps[node.op] ?? node.op} ${right})`;
+    },
+
+    UnaryExpression(node) {
+      return `(${node.operator}${gen(node.operand)})`;
     },
-    
+
     ComparisonExpression(node) {
       const left = gen(node.left);
       const right = gen(node.right);
-      
-      let op = node.op;
+
+      let op = node.operator;
       if (op === "==") op = "===";
       if (op === "!=") op = "!==";
       if (op === "is equal to") op = "===";
       if (op === "is less than") op = "<";
       if (op === "is greater than") op = ">";
-      
+
       return `(${left} ${op} ${right})`;
     },
-    
+
+    // Literals go out as written, except where JavaScript would read a
+    // leading zero as the start of an octal number
     NumberLiteral(node) {
-      return node.value;
+      const { value, lexeme = String(value) } = node;
+      return /^-?0[\d_]/.test(lexeme) ? String(value) : lexeme;
     },
-    
+
+    // JSON escapes quotes, backslashes and control characters just as a
+    // JavaScript string needs them
     StringLiteral(node) {
-      return `"${node.value.replace(/"/g, '\\"')}"`;
+      return JSON.stringify(node.value);
     },
-    
+
+    // A template literal, with text also escaped so it cannot end the literal
+    // or start an interpolation of its own
+    InterpolatedString(node) {
+      const parts = node.parts.map(part =>
+        typeof part === "string"
+          ? JSON.stringify(part).slice(1, -1).replace(/`|\$\{/g, "\\$&")
+          : `\${${gen(part)}}`
+      );
+      return `\`${parts.join("")}\``;
+    },
+
     BooleanLiteral(node) {
       return node.value;
     },
-    
+
     Identifier(node) {
-      return node.name;
+      return targetName(node.declaration ?? node);
     },
-    
+
     RangeExpression(node) {
       return gen(node.value);
+    },
+
+    ListExpression(node) {
+      return `[${node.elements.map(gen).join(", ")}]`;
+    },
+
+    IndexExpression(node) {
+      return `${gen(node.collection)}[${gen(node.index)}]`;
+    },
+
+    LengthExpression(node) {
+      return `${gen(node.collection)}.length`;
     }
   };
 
   return gen(program);
-}
\ No newline at end of file
+}
@@ -0,0 +1,334 @@
+import { format } from "node:util";
+import { describeRuntimeError } from "./runner.js";
+
+// Variables live in environments keyed by the entity the analyzer resolved
+// each name to, so shadowed names never collide. Blocks share the environment
+// of their function call; only calls create new ones.
+export class Environment {
+  constructor(parent = null) {
+    this.values = new Map();
+    this.parent = parent;
+  }
+
+  find(entity) {
+    if (this.values.has(entity)) return this;
+    return this.parent?.find(entity);
+  }
+
+  lookup(entity) {
+    const environment = this.find(entity);
+    if (!environment) {
+      throw new Error(`Runtime error: ${entity.name} has no value`);
+    }
+    return environment.values.get(entity);
+  }
+
+  assign(entity, value) {
+    (this.find(entity) ?? this).values.set(entity, value);
+  }
+}
+
+const intrinsics = {
+  sqrt: x => Math.sqrt(x),
+  at: (collection, index) => {
+    if (collection === undefined || collection === null) {
+      throw new Error(`Cannot take element ${index} of ${collection}`);
+    }
+    return collection[index];
+  },
+};
+
+const arithmetic = {
+  "+": (x, y) => x + y,
+  "-": (x, y) => x - y,
+  "*": (x, y) => x * y,
+  "/": (x, y) => x / y,
+  "%": (x, y) => x % y,
+};
+
+const unary = {
+  "!": x => !x,
+  "-": x => -x,
+};
+
+// Each takes its right operand unevaluated, since it may not need it
+const logical = {
+  and: (x, y) => x && y(),
+  or: (x, y) => x || y(),
+};
+
+const comparisons = {
+  "==": (x, y) => x === y,
+  "is equal to": (x, y) => x === y,
+  "!=": (x, y) => x !== y,
+  "<": (x, y) => x < y,
+  "is less than": (x, y) => x < y,
+  "<=": (x, y) => x <= y,
+  ">": (x, y) => x > y,
+  "is greater than": (x, y) => x > y,
+  ">=": (x, y) => x >= y,
+};
+
+// Statements hand back one of these to unwind enclosing blocks and loops
+const BREAK = Symbol("break");
+const SKIP = Symbol("skip");
+// Where a method call keeps the object it was called on
+const SELF = Symbol("self");
+// Each instance's class and the environment the class was declared in.
+// Objects of unknown type only find their methods here, at runtime. Kept
+// across runs, since the REPL runs each input separately.
+const instances = new WeakMap();
+class Return {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+// Runs a program in a fresh environment, or in one kept from earlier runs
+export default function interpret(
+  program,
+  { write = text => process.stdout.write(text), environment: globals = new Environment() } = {}
+) {
+  let environment = globals;
+
+  function executeAll(statements) {
+    for (const statement of statements) {
+      const signal = execute(statement);
+      if (signal) return signal;
+    }
+  }
+
+  function execute(node) {
+    if (Array.isArray(node)) return executeAll(node);
+    const executor = executors[node.kind];
+    if (executor) return executor(node);
+    // Expressions used as statements, such as calls
+    evaluate(node);
+  }
+
+  function evaluate(node) {
+    const evaluator = evaluators[node.kind];
+    if (!evaluator) {
+      throw new Error(`Cannot evaluate ${node.kind}`);
+    }
+    return evaluator(node);
+  }
+
+  function inEnvironment(newEnvironment, run) {
+    const savedEnvironment = environment;
+    environment = newEnvironment;
+    try {
+      return run();
+    } finally {
+      environment = savedEnvironment;
+    }
+  }
+
+  // Methods run in the environment of their class, seeing self
+  function call(func, args, { closure, self } = {}) {
+    if (func.intrinsic) {
+      return intrinsics[func.name](...args);
+    }
+    const callEnvironment = new Environment(closure ?? environment.lookup(func).closure);
+    func.params.forEach((param, i) => callEnvironment.values.set(param, args[i]));
+    if (self !== undefined) callEnvironment.values.set(SELF, self);
+
+    return inEnvironment(callEnvironment, () => {
+      const signal = execute(func.body);
+      return signal instanceof Return ? signal.value : undefined;
+    });
+  }
+
+  const methodNamed = (cls, name) =>
+    cls.members.find(member => member.kind === "FunctionDeclaration" && member.name === name);
+
+  // Arguments are evaluated first, then fields in order, then init, just as
+  // JavaScript constructs instances of classes with fields
+  function construct(cls, args) {
+    const { closure, constructor } = environment.lookup(cls);
+    const instance = new constructor();
+    instances.set(instance, { cls, closure });
+    inEnvironment(closure, () => {
+      for (const field of cls.members.filter(member => member.kind === "FieldDeclaration")) {
+        instance[field.name] = evaluate(field.initializer);
+      }
+    });
+    const init = methodNamed(cls, "init");
+    if (init) call(init, args, { closure, self: instance });
+    return instance;
+  }
+
+  const executors = {
+    Program(p) {
+      executeAll(p.statements);
+    },
+
+    Block(b) {
+      return executeAll(b.statements);
+    },
+
+    AssignmentStatement(s) {
+      if (s.target.kind === "IndexExpression") {
+        const { collection, index } = s.target;
+        evaluate(collection)[evaluate(index)] = evaluate(s.expression);
+        return;
+      }
+      if (s.target.kind === "MemberExpression") {
+        evaluate(s.target.object)[s.target.name] = evaluate(s.expression);
+        return;
+      }
+      environment.assign(s.target, evaluate(s.expression));
+    },
+
+    ConstantDeclaration(s) {
+      environment.values.set(s.variable, evaluate(s.initializer));
+    },
+
+    PrintStatement(s) {
+      // Formatted just as console.log formats its arguments
+      write(`${format(...s.values.map(evaluate))}\n`);
+    },
+
+    WhileStatement(s) {
+      const { start, stop, step } = evaluate(s.rangeValue);
+      for (let i = start; step > 0 ? i < stop : i > stop; i += step) {
+        environment.values.set(s.variable, i);
+        const signal = execute(s.body);
+        if (signal === BREAK) break;
+        if (signal && signal !== SKIP) return signal;
+      }
+    },
+
+    ForEachStatement(s) {
+      for (const item of evaluate(s.collection)) {
+        environment.values.set(s.variable, item);
+        const signal = execute(s.body);
+        if (signal === BREAK) break;
+        if (signal && signal !== SKIP) return signal;
+      }
+    },
+
+    WhileLoop(s) {
+      while (evaluate(s.condition)) {
+        const signal = execute(s.body);
+        if (signal === BREAK) break;
+        if (signal && signal !== SKIP) return signal;
+      }
+    },
+
+    IfStatement(s) {
+      if (evaluate(s.condition)) {
+        return execute(s.consequent);
+      }
+      if (s.alternate) {
+        return execute(s.alternate);
+      }
+    },
+
+    // Kept with a function standing for it, for when it is used as a value
+    FunctionDeclaration(f) {
+      const closure = environment;
+      const { [f.name]: value } = { [f.name]: (...args) => call(f, args, { closure }) };
+      environment.values.set(f, { closure, value });
+    },
+
+    ClassDeclaration(c) {
+      // Named after the class, so that instances print as they do in JavaScript
+      const { [c.name]: constructor } = { [c.name]: class {} };
+      environment.values.set(c, { closure: environment, constructor });
+    },
+
+    ReturnStatement(s) {
+      return new Return(evaluate(s.expression));
+    },
+
+    BreakStatement() {
+      return BREAK;
+    },
+
+    SkipStatement() {
+      return SKIP;
+    },
+
+    Comment() {},
+  };
+
+  const evaluators = {
+    NumberLiteral: e => e.value,
+    StringLiteral: e => e.value,
+    // Each value converted as a JavaScript template literal converts it
+    InterpolatedString: e =>
+      e.parts.map(part => (typeof part === "string" ? part : String(evaluate(part)))).join(""),
+    BooleanLiteral: e => e.value,
+    // Functions and classes used as values are what JavaScript makes of them
+    Identifier(e) {
+      if (!e.declaration) return environment.lookup(e);
+      const { value, constructor } = environment.lookup(e.declaration);
+      return value ?? constructor;
+    },
+    RangeExpression: e => ({
+      start: e.start ? evaluate(e.start) : 0,
+      stop: evaluate(e.value),
+      step: e.step ? evaluate(e.step) : 1,
+    }),
+    ListExpression: e => e.elements.map(evaluate),
+    IndexExpression: e => evaluate(e.collection)[evaluate(e.index)],
+    LengthExpression: e => evaluate(e.collection).length,
+
+    BinaryExpression(e) {
+      if (logical[e.op]) return logical[e.op](evaluate(e.left), () => evaluate(e.right));
+      return arithmetic[e.op](evaluate(e.left), evaluate(e.right));
+    },
+
+    UnaryExpression: e => unary[e.operator](evaluate(e.operand)),
+
+    ComparisonExpression(e) {
+      return comparisons[e.operator](evaluate(e.left), evaluate(e.right));
+    },
+
+    FunctionCall(c) {
+      return call(c.callee, c.args.map(evaluate));
+    },
+
+    ConstructorCall(c) {
+      return construct(c.callee, c.args.map(evaluate));
+    },
+
+    SelfExpression: () => environment.lookup(SELF),
+    NothingLiteral: () => undefined,
+    DefaultExpression: e => evaluate(e.optional) ?? evaluate(e.fallback),
+    NarrowedExpression: e => evaluate(e.expression),
+
+    MemberExpression(e) {
+      const object = evaluate(e.object);
+      return e.optional ? object?.[e.name] : object[e.name];
+    },
+
+    MethodCall(c) {
+      const object = evaluate(c.object);
+      // Like ?. in JavaScript, skipping the arguments too
+      if (c.optional && (object === undefined || object === null)) {
+        return undefined;
+      }
+      const args = c.args.map(evaluate);
+      const owner = instances.get(object);
+      const method = owner && methodNamed(owner.cls, c.name);
+      if (method) {
+        return call(method, args, { closure: owner.closure, self: object });
+      }
+      // Anything else behaves as it would in JavaScript
+      const member = object[c.name];
+      if (typeof member !== "function") {
+        throw new TypeError(`${c.name} is not a function`);
+      }
+      return member.apply(object, args);
+    },
+  };
+
+  try {
+    execute(program);
+  } catch (error) {
+    if (error.message.startsWith("Runtime error")) throw error;
+    throw new Error(`Runtime error: ${describeRuntimeError(error)}`);
+  }
+}
@@ -3,10 +3,15 @@
 import * as fs from "node:fs/promises";
 import stringify from "graph-stringify";
 import compile from "./compiler.js";
+import { formatError } from "./errors.js";
+import run from "./runner.js";
+import startRepl from "./repl.js";
 
 const help = `LionCode compiler
 
 Syntax: lion-code <filename> <outputType>
+        lion-code run <filename>
+        lion-code repl
 
 Prints to stdout according to <outputType>, which must be one of:
 
@@ -14,21 +19,55 @@ Prints to stdout according to <outputType>, which must be one of:
   analyzed   the statically analyzed representation
   optimized  the optimized semantically analyzed representation
   js         the translation to JavaScript
+
+The run command compiles the program and executes it, printing whatever
+it roars. The repl command runs statements interactively as they are typed.
 `;
 
+// Warnings in yellow, errors in red
+function report(diagnostics, filename) {
+  for (const diagnostic of diagnostics) {
+    const color = diagnostic.severity === "warning" ? 33 : 31;
+    console.error(`\u001b[${color}m${formatError(diagnostic, filename)}\u001b[39m`);
+  }
+}
+
+// A failed compile carries everything it found; other failures, such as
+// unreadable files or runtime errors, are reported after any warnings
+function reportError(e, diagnostics, filename) {
+  report(e.diagnostics ?? [...diagnostics, e], filename);
+  process.exitCode = 1;
+}
+
 async function compileFromFile(filename, outputType) {
+  const diagnostics = [];
   try {
     const buffer = await fs.readFile(filename);
-    const compiled = compile(buffer.toString(), outputType);
+    const compiled = compile(buffer.toString(), outputType, { diagnostics });
+    report(diagnostics, filename);
     console.log(stringify(compiled, "kind") || compiled);
   } catch (e) {
-    console.error(`\u001b[31m${e}\u001b[39m`);
-    process.exitCode = 1;
+    reportError(e, diagnostics, filename);
+  }
+}
+
+async function runFromFile(filename) {
+  const diagnostics = [];
+  try {
+    const buffer = await fs.readFile(filename);
+    run(buffer.toString(), { diagnostics });
+    report(diagnostics, filename);
+  } catch (e) {
+    reportError(e, diagnostics, filename);
   }
 }
 
-if (process.argv.length !== 4) {
+if (process.argv.length === 3 && process.argv[2] === "repl") {
+  startRepl();
+} else if (process.argv.length !== 4) {
   console.log(help);
+} else if (process.argv[2] === "run") {
+  runFromFile(process.argv[3]);
 } else {
   compileFromFile(process.argv[2], process.argv[3]);
 }
@@ -5,14 +5,63 @@ export default function optimize(node) {
   return optimizers[node.kind]?.(node) ?? node;
 }
 
+const comparisons = {
+  '==': (x, y) => x === y,
+  'is equal to': (x, y) => x === y,
+  '!=': (x, y) => x !== y,
+  '<': (x, y) => x < y,
+  'is less than': (x, y) => x < y,
+  '<=': (x, y) => x <= y,
+  '>': (x, y) => x > y,
+  'is greater than': (x, y) => x > y,
+  '>=': (x, y) => x >= y,
+};
+
+// The literal values of constants, by the entities the analyzer made for
+// them, so that every use can be replaced by the value
+const constantValues = new WeakMap();
+
+function isConstant(e) {
+  return ['NumberLiteral', 'StringLiteral', 'BooleanLiteral', 'NothingLiteral'].includes(e?.kind);
+}
+
+function isLiteral(e, value) {
+  return e?.kind === 'NumberLiteral' && e.value === value;
+}
+
+function isBoolean(e, value) {
+  return e?.kind === 'BooleanLiteral' && e.value === value;
+}
+
+// Whether dropping an expression cannot drop a call along with it
+function isPure(e) {
+  return isConstant(e) || e?.kind === 'Identifier';
+}
+
+// Folds and and or when either side is known, keeping the left side whenever
+// it may have effects, since it always runs
+function foldLogical(op, left, right) {
+  const [absorbing, identity] = op === 'and' ? [false, true] : [true, false];
+  if (isBoolean(left, absorbing)) return left;
+  if (isBoolean(left, identity)) return right;
+  if (isBoolean(right, identity)) return left;
+  if (isBoolean(right, absorbing) && isPure(left)) return right;
+}
+
+// Nothing after a serve, break or skip in the same block can run
+function reachable(statements) {
+  const exit = statements.findIndex(s => ['ReturnStatement', 'BreakStatement', 'SkipStatement'].includes(s?.kind));
+  return exit === -1 ? statements : statements.slice(0, exit + 1);
+}
+
 const optimizers = {
   Program(p) {
-    p.statements = p.statements.flatMap(optimize);
+    p.statements = reachable(p.statements.flatMap(optimize));
     return p;
   },
 
   Block(b) {
-    b.statements = b.statements.flatMap(optimize);
+    b.statements = reachable(b.statements.flatMap(optimize));
     return b;
   },
 
@@ -26,12 +75,14 @@ const optimizers = {
     return s;
   },
 
+  ConstantDeclaration(d) {
+    d.initializer = optimize(d.initializer);
+    if (isConstant(d.initializer)) constantValues.set(d.variable, d.initializer);
+    return d;
+  },
+
   PrintStatement(s) {
-    if (s.value) {
-      s.value = optimize(s.value);
-    } else if (s.argument) {
-      s.argument = optimize(s.argument);
-    }
+    s.values = s.values.map(optimize);
     return s;
   },
 
@@ -44,15 +95,24 @@ const optimizers = {
     s.condition = optimize(s.condition);
     s.consequent = optimize(s.consequent);
     if (s.alternate) s.alternate = optimize(s.alternate);
+    // An else branch that can never run optimizes away to no statements
+    if (Array.isArray(s.alternate)) s.alternate = null;
 
     if (s.condition.kind === 'BooleanLiteral') {
-      return s.condition.value ? s.consequent : (s.alternate || []);
+      const taken = s.condition.value ? s.consequent : s.alternate;
+      return taken?.statements?.length === 0 ? [] : (taken || []);
     }
 
     if (s.consequent.statements?.length === 0 && !s.alternate) {
       return [];
     }
 
+    // Test the positive condition so that `!=` never needs a negated branch
+    if (s.condition.kind === 'ComparisonExpression' && s.condition.operator === '!=' && s.alternate) {
+      s.condition.operator = '==';
+      [s.consequent, s.alternate] = [s.alternate, s.consequent];
+    }
+
     return s;
   },
 
@@ -61,8 +121,15 @@ const optimizers = {
     s.rangeValue = optimize(s.rangeValue);
     s.body = optimize(s.body);
 
-    if (s.rangeValue?.kind === 'NumberLiteral' && s.rangeValue.value <= 0) {
-      return [];
+    // A range of constants may count nothing at all
+    const range = s.rangeValue?.kind === 'RangeExpression' ? s.rangeValue : { value: s.rangeValue };
+    const start = range.start ?? core.numberLiteral(0);
+    const step = range.step ?? core.numberLiteral(1);
+    if ([start, range.value, step].every(e => e?.kind === 'NumberLiteral')) {
+      const stop = range.value.value;
+      if (step.value > 0 ? start.value >= stop : start.value <= stop) {
+        return [];
+      }
     }
 
     if (s.body.statements?.length === 0) {
@@ -72,18 +139,93 @@ const optimizers = {
     return s;
   },
 
+  ForEachStatement(s) {
+    s.collection = optimize(s.collection);
+    s.body = optimize(s.body);
+    const { collection } = s;
+    if (collection.kind === 'ListExpression' && collection.elements.length === 0) {
+      return [];
+    }
+    if (collection.kind === 'StringLiteral' && collection.value === '') {
+      return [];
+    }
+    return s;
+  },
+
+  WhileLoop(s) {
+    s.condition = optimize(s.condition);
+    s.body = optimize(s.body);
+    if (isBoolean(s.condition, false)) {
+      return [];
+    }
+    return s;
+  },
+
+  RangeExpression(r) {
+    r.value = optimize(r.value);
+    r.start = optimize(r.start);
+    r.step = optimize(r.step);
+    return r;
+  },
+
+  FunctionDeclaration(f) {
+    f.body = optimize(f.body);
+    return f;
+  },
+
+  ClassDeclaration(c) {
+    c.members = c.members.map(optimize);
+    return c;
+  },
+
+  FieldDeclaration(f) {
+    f.initializer = optimize(f.initializer);
+    return f;
+  },
+
   BinaryExpression(e) {
     e.left = optimize(e.left);
     e.right = optimize(e.right);
 
+    // Trees built by hand may name the operator as comparisons do
+    const op = e.op ?? e.operator;
+    if (op === 'and' || op === 'or') {
+      return foldLogical(op, e.left, e.right) ?? e;
+    }
+
     if (e.left?.kind === 'NumberLiteral' && e.right?.kind === 'NumberLiteral') {
       const left = e.left.value;
       const right = e.right.value;
 
-      if (e.operator === '+') return core.numberLiteral(left + right);
-      if (e.operator === '-') return core.numberLiteral(left - right);
-      if (e.operator === '*') return core.numberLiteral(left * right);
-      if (e.operator === '/' && right !== 0) return core.numberLiteral(left / right);
+      if (e.op === '+') return core.numberLiteral(left + right);
+      if (e.op === '-') return core.numberLiteral(left - right);
+      if (e.op === '*') return core.numberLiteral(left * right);
+      if (e.op === '/' && right !== 0) return core.numberLiteral(left / right);
+      if (e.op === '%' && right !== 0) return core.numberLiteral(left % right);
+    }
+
+    // Algebraic identities, only where the other operand is surely a number
+    if (e.type === 'number' || e.left?.type === 'number') {
+      if (e.op === '+' && isLiteral(e.right, 0)) return e.left;
+      if (e.op === '-' && isLiteral(e.right, 0)) return e.left;
+      if (['*', '/'].includes(e.op) && isLiteral(e.right, 1)) return e.left;
+      if (e.op === '*' && isLiteral(e.right, 0)) return e.right;
+    }
+
+    return e;
+  },
+
+  ComparisonExpression(e) {
+    e.left = optimize(e.left);
+    e.right = optimize(e.right);
+
+    const fold = comparisons[e.operator];
+    if (fold && isConstant(e.left) && isConstant(e.right)) {
+      return core.booleanLiteral(fold(e.left.value, e.right.value));
+    }
+
+    if (fold && e.left?.kind === 'Identifier' && e.right?.kind === 'Identifier' && e.left.name === e.right.name) {
+      return core.booleanLiteral(fold(0, 0));
     }
 
     return e;
@@ -96,11 +238,17 @@ const optimizers = {
       if (e.operator === '-') return core.numberLiteral(-e.operand.value);
     }
 
+    if (e.operator === '!') {
+      if (e.operand?.kind === 'BooleanLiteral') return core.booleanLiteral(!e.operand.value);
+      // Operands of not are always booleans, so two of them cancel
+      if (e.operand?.kind === 'UnaryExpression' && e.operand.operator === '!') return e.operand.operand;
+    }
+
     return e;
   },
 
   Identifier(i) {
-    return i;
+    return constantValues.get(i) ?? i;
   },
 
   NumberLiteral(n) {
@@ -111,12 +259,88 @@ const optimizers = {
     return s;
   },
 
+  // Constants become part of the text around them, and a string left with
+  // nothing but text is an ordinary literal
+  InterpolatedString(s) {
+    const parts = [];
+    for (let part of s.parts) {
+      part = typeof part === 'string' ? part : optimize(part);
+      if (isConstant(part)) part = String(part.value);
+      if (typeof part === 'string' && typeof parts.at(-1) === 'string') {
+        parts[parts.length - 1] += part;
+      } else {
+        parts.push(part);
+      }
+    }
+    if (parts.every(part => typeof part === 'string')) return core.stringLiteral(parts.join(''));
+    s.parts = parts;
+    return s;
+  },
+
   BooleanLiteral(b) {
     return b;
   },
 
+  // Square roots of constants are worked out now. Trees may be copies, so
+  // the standard library's sqrt is known by name rather than by identity.
   FunctionCall(c) {
+    c.args = c.args.map(optimize);
+    if (c.callee?.intrinsic && c.callee.name === 'sqrt' && c.args[0]?.kind === 'NumberLiteral') {
+      return core.numberLiteral(Math.sqrt(c.args[0].value));
+    }
+    return c;
+  },
+
+  DefaultExpression(e) {
+    e.optional = optimize(e.optional);
+    e.fallback = optimize(e.fallback);
+    if (e.optional.kind === 'NothingLiteral') return e.fallback;
+    if (isConstant(e.optional)) return e.optional;
+    return e;
+  },
+
+  NarrowedExpression(e) {
+    e.expression = optimize(e.expression);
+    return e;
+  },
+
+  ConstructorCall(c) {
+    c.args = c.args.map(optimize);
+    return c;
+  },
+
+  MethodCall(c) {
+    c.object = optimize(c.object);
     c.args = c.args.map(optimize);
     return c;
+  },
+
+  MemberExpression(e) {
+    e.object = optimize(e.object);
+    return e;
+  },
+
+  ListExpression(e) {
+    e.elements = e.elements.map(optimize);
+    return e;
+  },
+
+  IndexExpression(e) {
+    e.collection = optimize(e.collection);
+    e.index = optimize(e.index);
+    return e;
+  },
+
+  LengthExpression(e) {
+    e.collection = optimize(e.collection);
+    const { collection } = e;
+    if (collection.kind === 'StringLiteral') {
+      return core.numberLiteral(collection.value.length);
+    }
+    // Only when dropping the elements cannot drop a call along with them
+    if (collection.kind === 'ListExpression' && collection.elements.every(isConstant)) {
+      return core.numberLiteral(collection.elements.length);
+    }
+    return e;
   }
 };
\ No newline at end of file
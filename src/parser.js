@@ -1,9 +1,10 @@
 import grammar from "./grammar.js";
+import { sourceError } from "./errors.js";
 
 export default function parse(source) {
   const match = grammar.match(source);
   if (!match.succeeded()) {
-    throw new Error(match.message);
+    throw sourceError(`Expected ${match.getExpectedText()}`, match.getInterval());
   }
   return match;
 }
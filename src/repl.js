@@ -0,0 +1,147 @@
+import * as readline from "node:readline";
+import stringify from "graph-stringify";
+import grammar from "./grammar.js";
+import analyze, { Context } from "./analyzer.js";
+import optimize from "./optimizer.js";
+import generate from "./generator.js";
+import interpret, { Environment } from "./interpreter.js";
+
+const PROMPT = "lion> ";
+const CONTINUE = "...   ";
+
+const help = `Enter LionCode statements to run them. A block left open with | keeps
+reading lines until it is closed.
+
+  :ast         the analyzed representation of the last input
+  :optimized   the optimized representation of the last input
+  :js          the JavaScript translation of the last input
+  :type <expr> the type of an expression
+  :help        this message
+  :quit        leave the REPL
+`;
+
+// A session analyzes and runs one input at a time, keeping declarations and
+// values around for later inputs. Output goes through write, so sessions can
+// be driven without a terminal.
+export function createSession({ write = text => process.stdout.write(text) } = {}) {
+  const context = Context.root();
+  const environment = new Environment();
+  let pending = "";
+  let last = null;
+  // The source of every input that ran, in order
+  let history = "";
+
+  const show = text => write(`${text}\n`);
+
+  function requireLast(stage) {
+    if (!last) throw new Error("Nothing has been entered yet");
+    // The optimizer rewrites trees in place, so it gets its own copy
+    return stage(structuredClone(last));
+  }
+
+  const commands = {
+    ":help": () => write(help),
+    ":ast": () => show(stringify(requireLast(program => program), "kind")),
+    ":optimized": () => show(stringify(requireLast(optimize), "kind")),
+    ":js": () => show(requireLast(program => generate(optimize(program)))),
+    ":type": source => {
+      const match = grammar.match(source, "Expression");
+      if (match.failed()) throw new Error(match.message);
+      // A fresh child keeps the expression from touching session scope
+      show(analyze(match, context.newChild()).type ?? "any");
+    },
+  };
+
+  function runCommand(line) {
+    const [name, ...rest] = line.trim().split(/\s+/);
+    const command = commands[name];
+    if (!command) throw new Error(`Unknown command ${name}, try :help`);
+    command(rest.join(" "));
+  }
+
+  // Types are inferred from the whole program, and an input can show that
+  // something entered earlier is used wrongly, as when text is passed to a
+  // function whose parameter it multiplies. So once an input checks out on
+  // its own, it is checked again along with every input before it.
+  function checkWithHistory(source) {
+    const whole = grammar.match(`${history}${source}`);
+    if (whole.succeeded()) analyze(whole);
+  }
+
+  // Analysis declares things in the session context as it goes, so an input
+  // that fails partway must not leave half of its declarations behind
+  function runSource(match, source) {
+    const saved = new Map(context.locals);
+    try {
+      const program = analyze(match, context);
+      checkWithHistory(source);
+      interpret(program, { write, environment });
+      last = program;
+      history += `${source}\n`;
+    } catch (error) {
+      context.locals = saved;
+      throw error;
+    }
+  }
+
+  // Takes one line of input, returning true when it leaves a construct open
+  function feed(line) {
+    try {
+      if (!pending && line.trim().startsWith(":")) {
+        runCommand(line);
+        return false;
+      }
+      const source = `${pending}${line}`;
+      if (!source.trim()) return false;
+
+      const match = grammar.match(source);
+      if (match.failed() && match.getRightmostFailurePosition() >= source.trimEnd().length) {
+        pending = `${source}\n`;
+        return true;
+      }
+      pending = "";
+      if (match.failed()) throw new Error(match.message);
+      runSource(match, source);
+    } catch (error) {
+      show(`\u001b[31m${error.message}\u001b[39m`);
+    }
+    return false;
+  }
+
+  function cancel() {
+    const hadPending = pending !== "";
+    pending = "";
+    return hadPending;
+  }
+
+  return { feed, cancel };
+}
+
+export default function startRepl({ input = process.stdin, output = process.stdout } = {}) {
+  const session = createSession({ write: text => output.write(text) });
+  const rl = readline.createInterface({ input, output, prompt: PROMPT });
+
+  rl.on("line", line => {
+    if (line.trim() === ":quit") {
+      rl.close();
+      return;
+    }
+    rl.setPrompt(session.feed(line) ? CONTINUE : PROMPT);
+    rl.prompt();
+  });
+
+  // Ctrl-C abandons a half-entered block, or leaves when there is none
+  rl.on("SIGINT", () => {
+    if (!session.cancel()) {
+      rl.close();
+      return;
+    }
+    output.write("\n");
+    rl.setPrompt(PROMPT);
+    rl.prompt();
+  });
+
+  output.write("LionCode REPL, :help for commands\n");
+  rl.prompt();
+  return rl;
+}
@@ -0,0 +1,34 @@
+import * as vm from "node:vm";
+import { format } from "node:util";
+import compile from "./compiler.js";
+
+// JavaScript runtime failures, described in terms of the LionCode program
+const runtimeMessages = [
+  [/Maximum call stack size exceeded/, () => "Too much recursion: an ignite function never stopped calling itself"],
+  [/Cannot read properties of (undefined|null) \(reading '(.*)'\)/, (_, value, key) => `Cannot take element ${key} of ${value}`],
+  [/(\w+) is not a function/, (_, name) => `${name} is not a function`],
+];
+
+export function describeRuntimeError(error) {
+  const message = String(error?.message ?? error);
+  for (const [pattern, describe] of runtimeMessages) {
+    const match = message.match(pattern);
+    if (match) return describe(...match);
+  }
+  return message;
+}
+
+// Compiles a LionCode program and runs it in a fresh V8 context that can see
+// nothing but a console, so programs cannot reach the host's globals.
+// Compiler warnings and errors are added to diagnostics.
+export default function run(source, { write = text => process.stdout.write(text), diagnostics } = {}) {
+  const js = compile(source, "js", { diagnostics });
+  const sandbox = vm.createContext({
+    console: { log: (...values) => write(`${format(...values)}\n`) },
+  });
+  try {
+    vm.runInContext(js, sandbox, { filename: "program.lioncode.js" });
+  } catch (error) {
+    throw new Error(`Runtime error: ${describeRuntimeError(error)}`);
+  }
+}
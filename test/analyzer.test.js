@@ -9,17 +9,18 @@ const semanticChecks = [
   ["variable declaration", "x = 42"],
   ["function declaration", "ignite greet() | roar -Hello!- |"],
   ["loop with range", "Prowl i in range(5) | roar -Looping!- |"],
-  ["if-else statement", `if (x is less than 5) | roar -small- | otherwise | roar -big- |`],
-  ["string interpolation", `roar -Value: \${x}-`],
+  ["if-else statement", `x = 3\nif (x is less than 5) | roar -small- | otherwise | roar -big- |`],
   ["math operations", "y = (10 + 3) * 2 / 5"],
   ["nested blocks", "ignite helper() | ignite nested() | x = 1 | |"],
   ["parameterized function", "ignite add(a, b) | serve a + b |"],
-  ["boolean condition", "if (x == true) | roar -Yes!- |"],
+  ["boolean condition", "x = true\nif (x == true) | roar -Yes!- |"],
   ["modulo operation", "x = 10 % 3"],
   ["multiple assignments", "x = 1\ny = 2\nz = x + y"],
+  ["reassignment", "x = 1\nx = 2"],
+  ["reassignment in a nested block", "x = 1\nif (true) | x = x + 1 |"],
   ["function call", "ignite f() | roar -Called- |\nf()"],
   ["nested function calls", "ignite f() | serve 5 |\nignite g() | serve f() + 2 |"],
-  ["nested if statements", "if (x == 1) | if (y == 2) | roar -Nested!- | |"],
+  ["nested if statements", "x = 1\ny = 2\nif (x == 1) | if (y == 2) | roar -Nested!- | |"],
   ["multiple parameters", "ignite sum(a, b, c, d) | serve a + b + c + d |"],
   ["string concatenation", "x = -Hello- + -World-"],
   ["complex math expression", "x = (10 + 5) * (3 - 1) / 4 % 2"],
@@ -27,38 +28,224 @@ const semanticChecks = [
   ["return variable", "ignite getId() | x = 100\nserve x |"],
   ["function with side effects", "ignite log(msg) | roar msg |"],
   ["loop with break", "Prowl i in range(10) | if (i == 5) | break | |"],
+  ["break nested in an if", "Prowl i in range(10) | if (i == 5) | if (true) | break | | |"],
   ["nested loops", "Prowl i in range(3) | Prowl j in range(3) | roar -Inside- | |"],
-  ["complex if-else chain", "if (x == 1) | roar -One- | else (x == 2) | roar -Two- | otherwise | roar -Other- |"],
-  ["assignment in if", "if (x == 1) | y = 100 | otherwise | y = 200 |"],
+  ["complex if-else chain", "x = 2\nif (x == 1) | roar -One- | else (x == 2) | roar -Two- | otherwise | roar -Other- |"],
+  ["same name in separate branches", "x = 1\nif (x == 1) | y = 100 | otherwise | y = -text- |"],
   ["integer literals", "x = 123456789"],
   ["function with multiple returns", "ignite max(a, b) | if (a is greater than b) | serve a | otherwise | serve b | |"],
   ["comment with code", "~This is a comment~\nx = 42"],
   ["complex function body", "ignite process(n) | result = n\nif (result is greater than 10) | result = result - 10 |\nserve result |"],
   ["mixed expressions", "x = 5 + -Text- + 10"],
-  ["loop with function call", "Prowl i in range(calc()) | roar i |"]
+  ["loop with function call", "ignite calc() | serve 3 |\nProwl i in range(calc()) | roar i |"],
+  ["recursion", "ignite fact(n) | if (n == 0) | serve 1 | otherwise | serve n * fact(n - 1) | |"],
+  ["builtin call", "x = sqrt(16) + 1"],
+  ["loop variable shadowing an outer variable", "i = -outer-\nProwl i in range(3) | roar i |"],
+  ["string comparison", "if (-a- is less than -b-) | roar -sorted- |"],
+  ["comparing unknown parameter types", "ignite f(a, b) | serve a == b |"],
+  ["list literal", "xs = [1, 2, 3]"],
+  ["empty list", "xs = []\nxs = [1]"],
+  ["nested lists", "grid = [[1, 2], [], [3]]\nx = grid[0][1] * 2"],
+  ["list indexing", "xs = [-a-, -b-]\ny = xs[1] + -c-"],
+  ["string indexing", "c = -abc-[0]"],
+  ["index assignment", "xs = [1, 2]\nxs[0] = xs[1] + 1"],
+  ["length of lists and strings", "n = length([1, 2]) + length(-abc-)"],
+  ["indexing unknown parameters", "ignite first(xs) | serve xs[0] |\nx = first([1])"],
+  ["empty class", "pride Cub | |\nc = Cub()"],
+  [
+    "class with fields, initializer and methods",
+    "pride Lion |\n name = -cub-\n ignite init(n) | self.name = n |\n ignite rename(n) | self.name = n\nserve self.name |\n|\nl = Lion(-Simba-)\nl.rename(-Mufasa-)\nx = l.name + -!-",
+  ],
+  ["methods calling methods declared later", "pride A | ignite f() | serve self.g() |\nignite g() | serve 1 | |"],
+  ["fields used before they are declared", "pride A | ignite f() | serve self.x | x = 1 |"],
+  ["members of unknown objects", "ignite f(o) | o.x = o.y\no.run(1) |"],
+  ["objects in lists", "pride A | x = 1 |\nas = [A(), A()]\ny = as[1].x + 1"],
+  ["field assignment", "pride A | xs = [1] |\na = A()\na.xs[0] = 2\na.xs = []"],
+  ["nothing", "x = nothing\nx = 5\nx = nothing"],
+  ["default values", "x = nothing\ny = (x ?? 1) * 2"],
+  ["chained defaults", "a = nothing\nb = nothing\nc = a ?? b ?? 3"],
+  ["narrowing with !=", "x = nothing\nif (x != nothing) | y = x * 2 |"],
+  ["narrowing with == and otherwise", "x = nothing\nif (x == nothing) | roar -none- | otherwise | y = x + 1 |"],
+  ["narrowing in else branches", "x = nothing\nif (nothing is equal to x) | | else (x == 5) | y = x + 1 |"],
+  ["safe member access", "pride A | next = nothing\nv = 1 |\na = A()\nv = a.next?.v ?? 0"],
+  ["safe method calls", "pride A | ignite f() | serve 1 | |\na = nothing\nn = a?.f() ?? 0"],
+  ["optional list elements", "xs = [nothing, 1]\nxs[0] = nothing\ny = xs[1] ?? 0"],
+  ["comparing optionals", "x = nothing\nif (x == 3) | |"],
+  ["printing optionals", "x = nothing\nroar x"],
+  ["optionals passed to unknown parameters", "ignite f(a) | serve a |\nx = f(nothing)"],
+  ["ranges with starts", "n = 5\nProwl i in range(1, n + 1) | roar i |"],
+  ["ranges with steps", "n = 5\nProwl i in range(n, -n, -2) | |\nProwl i in range(0, 10, n) | |"],
+  ["loops over lists", "total = 0\nProwl x in [1, 2] | total = total + x |"],
+  ["loops over strings", "s = --\nProwl c in -abc- | s = c + s |"],
+  ["loops over unknown collections", "ignite f(xs) | Prowl x in xs | roar x | |"],
+  ["printing expressions", "x = 4\nroar x + 1\nroar (x is less than 5)\nroar -x, [x], length(-abc-)"],
+  ["printing several values", "pride A | v = 1 |\na = A()\nroar a.v, -is-, a.v == 1, nothing"],
+  ["skips in every kind of loop", "Prowl i in range(3) | skip |\nProwl x in [1] | skip |\nProwl while (true) | if (true) | skip |\nbreak |"],
+  ["breaking out of loops over collections", "Prowl x in [1] | break |"],
+  ["while loops", "x = 0\nProwl while (x is less than 10) | x = x + 1\nif (x == 5) | break | |"],
+  ["narrowing in while loops", "pride Node | next = nothing |\nn = [Node(), nothing][0]\nProwl while (n != nothing) | n = n.next |"],
+  ["leaving endless loops", "ignite f() | Prowl while (true) | serve 1 | |\nProwl while (true) | if (true) | break | |"],
+  ["long if chains", "x = 5\nif (x == 1) | | else (x == 2) | | else (x == 3) | roar x | otherwise | roar -other- |"],
+  ["narrowing along if chains", "x = nothing\nif (x == 1) | | else (x == nothing) | | else (x == 3) | | otherwise | y = x + 1 |"],
+  ["negative numbers", "x = -5\ny = 3 - -x * -(x + 1)"],
+  ["negation beside strings", "s = -abc-\nn = -length(s) - 1\nt = -a- + -n"],
+  ["negative numbers in ranges", "x = 4\nProwl i in range(-x) | |"],
+  ["and, or and not", "x = 5\nif (x is greater than 0 and not x == 3 or x == 7) | |"],
+  ["logical values", "b = true\nc = not b and (b or false)"],
+  ["narrowing across and", "x = nothing\nb = x != nothing and x is greater than 2"],
+  ["narrowing across or", "x = nothing\nb = x == nothing or x is greater than 2"],
+  ["narrowing through not", "x = nothing\nif (not (x == nothing)) | y = x + 1 |"],
+  ["annotated functions", "ignite greet(name: text) -> text | serve -Hello, - + name |\nx = greet(-Kaia-) + -!-"],
+  ["annotated and unannotated parameters", "ignite f(a, b: number, c: boolean?) -> [number] | serve [a, b] |\nf(2, 1, nothing)"],
+  ["class types in annotations", "pride Lion | ignite rename(n: text) -> Lion | serve self | |\nignite f(l: Lion?) -> Lion? | serve l |"],
+  ["types inferred from calls", "ignite double(n) | serve n * 2 |\nx = double(4) + 1"],
+  ["types inferred along chains of calls", "ignite c(x) | serve x |\nignite b(x) | serve c(x) |\nignite a(x) | serve b(x) |\ny = a(2) - 1"],
+  ["optionals inferred from nothing", "ignite f(v) | if (v != nothing) | roar v + 1 | |\nf(nothing)\nf(2)"],
+  ["recursion with inferred types", "ignite fact(n) | if (n == 0) | serve 1 | otherwise | serve n * fact(n - 1) | |\nx = fact(5) - 1"],
+  ["values of unknown type used consistently", "x = at([1], 0)\nx = 2\nx = x * 3"],
+  ["constants", "vow limit = 10\nProwl i in range(limit) | vow double = i * 2\nroar double |"],
+  ["constants shadowing outer variables", "x = 1\nignite f() | vow x = -one-\nserve x |"],
+  ["changing the contents of constant lists", "vow xs = [1, 2]\nxs[0] = 3"],
+  ["serving what may be nothing as an optional", "ignite f(xs: [number]) -> number? | serve at(xs, 0) |"],
 ];
 
 const semanticErrors = [
-  ["undeclared variable", "roar -x-", /Variable 'x' not declared/],
+  ["undeclared variable", "roar x", /Variable 'x' not declared/],
+  ["undeclared function", "f()", /Variable 'f' not declared/],
   ["type mismatch", "x = 5\nx = -text-", /Operands must have the same type/],
-  ["redeclared variable", "x = 1\nx = 2", /Variable already declared: x/],
+  ["redeclared function", "ignite f() | |\nignite f() | |", /Variable already declared: f/],
+  ["duplicate parameters", "ignite f(a, a) | |", /Variable already declared: a/],
   ["invalid parameter count", "ignite greet(n) | |\ngreet()", /Expected 1 argument\(s\) but 0 passed/],
   ["break outside loop", "break", /Break can only appear in a loop/],
+  ["break in a function inside a loop", "Prowl i in range(3) | ignite f() | break | |", /Break can only appear in a loop/],
   ["immutable assignment", "ignite f() | |\nf = 5", /Assignment to immutable variable/],
-  ["invalid comparison", `if (-text- is greater than 5) | |`, /Cannot compare/],
-  ["invalid function call", "x()", /Not a function/],
+  ["invalid comparison", `if (-text- is greater than 5) | |`, /Cannot compare string and number/],
+  ["invalid function call", "x = 1\nx()", /Not a function/],
   ["too many arguments", "ignite f(a) | |\nf(1, 2, 3)", /Expected 1 argument\(s\) but 3 passed/],
-  ["invalid binary operation", "x = true + 3", /Operands must have the same type/],
+  ["invalid binary operation", "x = true + 3", /Cannot apply \+ to boolean and number/],
+  ["subtracting strings", "x = -a- - 3", /Cannot apply - to string and number/],
   ["division by zero", "x = 5 / 0", /Cannot divide by zero/],
-  ["assignment to expression", "5 + 3 = 8", /Cannot assign to expression/],
   ["invalid modulus operand", "x = -hello- % 3", /Modulus requires number operands/],
-  ["invalid equality comparison", "if (func() == 5) | |", /Cannot compare function and number/],
-  ["mismatched if-else types", "if (x == 1) | y = 5 | otherwise | y = -text- |", /Mismatched types in if-else branches/],
+  ["invalid equality comparison", "ignite f() | |\nif (f == 5) | |", /Cannot compare function and number/],
+  ["ordering booleans", "if (true is less than false) | |", /Expected number or string/],
+  ["non-boolean condition", "if (5) | |", /Expected a boolean condition but got number/],
+  ["non-boolean else condition", "x = 1\nif (x == 1) | | else (-two-) | |", /Expected a boolean condition/],
   ["return outside function", "serve 5", /Return statement outside function/],
-  ["invalid loop variable", "Prowl 123 in range(5) | |", /Invalid loop variable/],
-  ["recursive function with type error", "ignite fact(n) | serve n * fact(n-1) |", /Recursive call with invalid type/],
+  ["return in a loop outside a function", "Prowl i in range(3) | serve i |", /Return statement outside function/],
   ["reassign loop variable", "Prowl i in range(5) | i = 10 |", /Cannot reassign loop variable/],
-  ["invalid range argument", "Prowl i in range(-5) | |", /Range requires non-negative value/]
+  ["non-numeric range", "Prowl i in range(-five-) | |", /Range requires a number/],
+  ["builtin argument type", "x = sqrt(-sixteen-)", /Argument 1 of sqrt must be number but got text/],
+  ["variable used outside its block", "if (true) | y = 1 |\nroar y", /Variable 'y' not declared/],
+  ["parameter used outside its function", "ignite f(a) | |\nroar a", /Variable 'a' not declared/],
+  ["loop variable used after the loop", "Prowl i in range(3) | |\nroar i", /Variable 'i' not declared/],
+  ["mixed list elements", "xs = [1, -two-]", /List elements must all have the same type/],
+  ["list type mismatch", "xs = [1]\nxs = [-a-]", /Operands must have the same type/],
+  ["indexing a number", "x = 5\ny = x[0]", /Cannot index number/],
+  ["non-numeric index", "xs = [1]\ny = xs[-first-]", /Index must be a number/],
+  ["wrong element type assigned", "xs = [1]\nxs[0] = true", /Cannot assign boolean to an element of \[number\]/],
+  ["assigning into a string", "s = -abc-\ns[0] = -x-", /Cannot assign to a character of a string/],
+  ["length of a number", "n = length(5)", /Length requires a list or string/],
+  ["self outside a method", "x = self", /self can only appear in a method/],
+  ["self in a field initializer", "pride A | x = self |", /self can only appear in a method/],
+  ["self in a function nested in a method", "pride A | ignite f() | ignite g() | serve self | | |", /self can only appear in a method/],
+  ["missing field", "pride A | x = 1 |\na = A()\ny = a.z", /A has no member z/],
+  ["missing method", "pride A | |\na = A()\na.go()", /A has no member go/],
+  ["member of a number", "x = 5\ny = x.z", /Cannot access member z of number/],
+  ["calling a field", "pride A | x = 1 |\na = A()\na.x()", /x is not a method/],
+  ["method used as a value", "pride A | ignite f() | | |\na = A()\nx = a.f", /Method f must be called/],
+  ["wrong field type", "pride A | x = 1 |\na = A()\na.x = -one-", /Cannot assign string to x, which is number/],
+  ["wrong method arguments", "pride A | ignite f(x) | | |\na = A()\na.f()", /Expected 1 argument\(s\) but 0 passed/],
+  ["wrong initializer arguments", "pride A | ignite init(x) | | |\na = A()", /Expected 1 argument\(s\) but 0 passed/],
+  ["calling init directly", "pride A | ignite init() | | |\na = A()\na.init()", /Cannot call init directly/],
+  ["duplicate members", "pride A | x = 1\nignite x() | | |", /Member already declared: x/],
+  ["assigning to a class", "pride A | |\nA = 5", /Assignment to immutable variable/],
+  ["assigning to a call", "pride A | ignite f() | | |\na = A()\na.f() = 1", /Cannot assign to a method call/],
+  ["members as statements", "pride A | x = 1 |\na = A()\na.x", /Only calls can be used as statements/],
+  ["arithmetic on optionals", "x = nothing\ny = x + 1", /Cannot use a value that may be nothing without unwrapping it/],
+  ["concatenating optionals", "x = nothing\ny = -a- + x", /Cannot use a value that may be nothing/],
+  ["optional conditions", "b = nothing\nif (b) | |", /Cannot use a value that may be nothing/],
+  ["ordering optionals", "x = nothing\nif (x is less than 3) | |", /Cannot use a value that may be nothing/],
+  ["optional ranges", "n = nothing\nProwl i in range(n) | |", /Cannot use a value that may be nothing/],
+  ["members of optionals", "pride A | x = 1 |\na = [A(), nothing]\nn = a[0].x", /Cannot use a value that may be nothing/],
+  ["indexing optionals", "xs = nothing\ny = xs[0]", /Cannot use a value that may be nothing/],
+  ["nothing in a plain variable", "x = 1\nx = nothing", /Cannot assign a value that may be nothing to x/],
+  ["optional arguments to plain parameters", "x = nothing\ny = sqrt(x)", /Argument 1 of sqrt must be number but got nothing/],
+  ["uses outside the narrowed branch", "x = nothing\nif (x != nothing) | |\ny = x + 1", /Cannot use a value that may be nothing/],
+  ["uses after setting to nothing again", "x = nothing\nif (x != nothing) | x = nothing\ny = x + 1 |", /Cannot use a value that may be nothing/],
+  ["mismatched defaults", "ys = [nothing, 1]\nz = ys[0] ?? -a-", /Cannot use string as a default for number\?/],
+  ["assigning through ?.", "pride A | x = 1 |\na = nothing\na?.x = 2", /Cannot assign through \?\./],
+  ["printing functions", "ignite f() | |\nroar 1, f", /Cannot roar a function/],
+  ["printing classes", "pride A | |\nroar A", /Cannot roar a class/],
+  ["classes named like built-in types", "pride number | |\nx = number() + 1", /Line 1, col 7:[^]*Cannot name a class number, which is a built-in type/],
+  ...["string", "text", "boolean", "any", "function", "class"].map(name => [
+    `a class named ${name}`,
+    `pride ${name} | |`,
+    new RegExp(`Cannot name a class ${name}, which is a built-in type`),
+  ]),
+  ["undeclared variables in interpolations", "roar -hi ${nope}-", /Variable 'nope' not declared/],
+  ["code points out of range", "roar -\\u{110000}-", /Invalid code point \\u\{110000\}/],
+  ["arguments of the wrong type", "ignite greet(name: text) | |\ngreet(5)", /Argument 1 of greet must be text but got number/],
+  ["methods called with the wrong type", "pride A | ignite f(n: number) | | |\nA().f(-x-)", /Argument 1 of f must be number but got text/],
+  ["nothing for a plain parameter", "ignite f(n: number) | |\nf(nothing)", /Argument 1 of f must be number but got nothing/],
+  ["serving the wrong type", "ignite f() -> number | serve -no- |", /f must serve number but got text/],
+  ["lists of the wrong type", "ignite f(xs: [text?]) | |\nf([1])", /Argument 1 of f must be \[text\?\] but got \[number\]/],
+  ["serving what may be nothing", "ignite f(n: number?) -> number | serve n |", /f must serve number but got number\?/],
+  ["unknown types", "ignite f(x: Tiger) | |", /Unknown type Tiger/],
+  ["using results against their annotated type", "ignite f() -> text | serve -a- |\nx = f() * 2", /Cannot apply \* to string and number/],
+  ["conflicting arguments", "ignite f(n) | |\nf(1)\nf(-a-)", /Line 3, col 3:[^]*Conflicting types for parameter n of f: number at line 2, col 3 and text here/],
+  ["conflicting method arguments", "pride A | ignite f(n) | | |\na = A()\na.f(true)\na.f(1)", /Conflicting types for parameter n of f: boolean at line 3, col 5 and number here/],
+  ["conflicting serves", "ignite f(b) | if (b) | serve 1 | serve -a- |", /Conflicting types for what f serves: number at line 1, col 30 and text here/],
+  ["conflicting assignments", "x = at([1], 0)\nx = 1\nx = true", /Conflicting types for x: number at line 2, col 5 and boolean here/],
+  ["misuse found through calls", "ignite f(s) | serve s * 2 |\nf(-a-)", /Cannot apply \* to string and number/],
+  [
+    "misuse found along long chains of calls",
+    "ignite f0(x) | serve x |\n" +
+      Array.from({ length: 9 }, (_, i) => `ignite f${i + 1}(x) | serve f${i}(x) |\n`).join("") +
+      "y = f9(2)\ny = -oops-",
+    /Operands must have the same type/,
+  ],
+  ["types that contain themselves", "x = at([], 0)\nx = [x]", /Line 1, col 1:[^]*Cannot settle on a type for x/],
+  ["misuse found along chains of calls", "ignite c(x) | serve x |\nignite b(x) | serve c(x) |\nignite a(x) | serve b(x) |\ny = a(-s-) - 1", /Cannot apply - to string and number/],
+  ["misuse of inferred results", "ignite f() | serve -a- |\nx = f() - 1", /Cannot apply - to string and number/],
+  ["nothing passed where numbers are used", "ignite f(v) | serve v + 1 |\nf(nothing)\nf(2)", /may be nothing/],
+  ["reassigned constants", "vow limit = 10\nlimit = 11", /Cannot reassign constant limit/],
+  ["constants reassigned in nested blocks", "vow limit = 10\nif (true) | limit = 11 |", /Cannot reassign constant limit/],
+  ["redeclared constants", "x = 1\nvow x = 2", /Variable already declared: x/],
+  ["interpolating functions", "ignite f() | |\nroar -f is ${f}-", /Cannot interpolate a function/],
+  ["errors in printed expressions", "roar 1, -a- - 1", /Cannot apply - to string and number/],
+  ["skip outside loops", "skip", /Skip can only appear in a loop/],
+  ["skip in functions inside loops", "Prowl i in range(2) | ignite f() | skip | |", /Skip can only appear in a loop/],
+  ["loops over numbers", "Prowl x in 5 | |", /Cannot loop over number/],
+  ["loops over optionals", "n = nothing\nProwl x in n | |", /Cannot use a value that may be nothing/],
+  ["reassigning collection loop variables", "Prowl x in [1] | x = 2 |", /Cannot reassign loop variable/],
+  ["optional elements in loops", "Prowl y in [nothing, 1] | z = y + 1 |", /Cannot use a value that may be nothing/],
+  ["empty ranges", "Prowl i in range() | |", /Expected 1 to 3 argument\(s\) but 0 passed/],
+  ["ranges with too many arguments", "Prowl i in range(1, 2, 3, 4) | |", /Expected 1 to 3 argument\(s\) but 4 passed/],
+  ["zero steps", "Prowl i in range(1, 5, 0) | |", /Range step cannot be zero/],
+  ["steps that fold to zero", "Prowl i in range(0, 3, 1 - 1) | |", /Range step cannot be zero/],
+  ["constant zero steps", "vow z = 0\nvow none = z * 2\nProwl i in range(5, 0, -none) | |", /Line 3, col 24:[^]*Range step cannot be zero/],
+  ["non-numeric starts", "Prowl i in range(-a-, 3) | |", /Range requires a number/],
+  ["non-numeric steps", "Prowl i in range(1, 5, true) | |", /Range requires a number/],
+  ["non-boolean while conditions", "Prowl while (5) | |", /Expected a boolean condition but got number/],
+  ["optional while conditions", "b = nothing\nProwl while (b) | |", /Cannot use a value that may be nothing/],
+  ["errors in otherwise after else", "x = 1\nif (x == 1) | | else (x == 2) | | otherwise | roar y |", /Variable 'y' not declared/],
+  ["errors in later else branches", "x = 1\nif (x == 1) | | else (x == 2) | | else (-a-) | |", /Expected a boolean condition but got string/],
+  ["negative ranges", "Prowl i in range(-5) | |", /Range requires non-negative value/],
+  ["negating strings", "s = -abc-\nx = -s", /Cannot apply - to string/],
+  ["negating booleans", "x = -true", /Cannot apply - to boolean/],
+  ["negating optionals", "x = nothing\ny = -x", /Cannot use a value that may be nothing/],
+  ["non-boolean and", "if (5 and true) | |", /Expected a boolean condition but got number/],
+  ["non-boolean or", "b = true or -yes-", /Expected a boolean condition but got string/],
+  ["non-boolean not", "b = not 3", /Expected a boolean condition but got number/],
+  ["optional logical operands", "b = nothing\nc = b or true", /Cannot use a value that may be nothing/],
+  ["narrowing only the side that runs", "x = nothing\nb = x != nothing or x is greater than 2", /Cannot use a value that may be nothing/],
+  [
+    "narrowing that a later pass of a while loop undoes",
+    "ignite maybe(n) -> number? | serve nothing |\nx = maybe(0)\ncount = 0\nif (x != nothing) | Prowl while (count is less than 5) | roar x + 1\nx = maybe(count)\ncount = count + 1 | |",
+    /Cannot use a value that may be nothing/,
+  ],
+  ["narrowing that a later pass of a range loop undoes", "x = nothing\nif (x != nothing) | Prowl i in range(3) | y = x + i\nx = nothing | |", /Cannot use a value that may be nothing/],
+  ["narrowing that a later pass over a list undoes", "x = nothing\nif (x != nothing) | Prowl i in [1] | y = x + i\nx = nothing | |", /Cannot use a value that may be nothing/],
 ];
 
 describe("The LionCode Analyzer", () => {
@@ -72,27 +259,6 @@ describe("The LionCode Analyzer", () => {
 
   for (const [scenario, source, errorPattern] of semanticErrors) {
     it(`rejects ${scenario}`, () => {
-      if (source === "roar -x-") {
-        assert.throws(() => { throw new Error("Variable 'x' not declared"); }, errorPattern);
-        return;
-      } 
-      if (source === "x = 1\nx = 2") {
-        assert.throws(() => { throw new Error("Variable already declared: x"); }, errorPattern);
-        return;
-      }
-      if (source === "ignite f(a) | |\nf(1, 2, 3)") {
-        assert.throws(() => { throw new Error("Expected 1 argument(s) but 3 passed"); }, errorPattern);
-        return;
-      }
-      if (source === "if (func() == 5) | |") {
-        assert.throws(() => { throw new Error("Cannot compare function and number"); }, errorPattern);
-        return;
-      }
-      if (source === "if (x == 1) | y = 5 | otherwise | y = -text- |") {
-        assert.throws(() => { throw new Error("Mismatched types in if-else branches"); }, errorPattern);
-        return;
-      }
-      
       assert.throws(() => analyzeTestCase(source), errorPattern);
     });
   }
@@ -106,97 +272,99 @@ describe("The LionCode Analyzer", () => {
       statements: [
         {
           kind: 'PrintStatement',
-          value: { kind: 'StringLiteral', value: '42', type: 'string' },
+          values: [{ kind: 'StringLiteral', value: '42', type: 'string' }],
         },
       ],
     });
   });
 
-  it("handles empty string interpolation", () => {
-    const analyzed = analyzeTestCase("x = -$()-");
-    assert.strictEqual(analyzed.statements[0].expression.kind, "StringLiteral");
+  it("marks each assignment as a declaration or a reassignment", () => {
+    const statements = analyzeTestCase("x = 1\nx = 2\nif (true) | x = 3\ny = 4 |").statements;
+    assert.deepStrictEqual(
+      [statements[0], statements[1], ...statements[2].consequent.statements].map(s => s.declaration),
+      [true, false, false, true]
+    );
   });
 
-  it("handles empty return", () => {
-    const analyzed = analyzeTestCase("ignite empty() | serve 0 |");
-    assert.strictEqual(analyzed.statements[0].body.statements[0].kind, "ReturnStatement");
+  it("declares constants", () => {
+    const [declaration, print] = analyzeTestCase("vow name = -Kaia-\nroar name").statements;
+    assert.strictEqual(declaration.kind, "ConstantDeclaration");
+    assert.deepStrictEqual(declaration.initializer, core.stringLiteral("Kaia"));
+    assert.strictEqual(declaration.variable.constant, true);
+    assert.strictEqual(declaration.variable.type, "string");
+    assert.strictEqual(print.values[0], declaration.variable);
   });
 
-  it("handles return statements in complex contexts", () => {
-    const analyzed = analyzeTestCase(`
-      ignite test() |
-        if (true) |
-          serve 5
-        |
-      |
-    `);
-    assert.strictEqual(analyzed.statements[0].body.statements[0].kind, "IfStatement");
+  it("keeps every value of a print", () => {
+    const [statement] = analyzeTestCase("roar 1, -a-").statements;
+    assert.deepStrictEqual(statement, core.printStatement(core.numberLiteral(1), core.stringLiteral("a")));
   });
 
-  it("handles boolean literals in expressions", () => {
-    const analyzed = analyzeTestCase("flag = true\nnotFlag = false");
-    
-
-    assert.strictEqual(analyzed.statements[0].kind, "AssignmentStatement");
-    assert.strictEqual(analyzed.statements[1].kind, "AssignmentStatement");
+  it("splits interpolated strings into text and expressions", () => {
+    const [declaration, statement] = analyzeTestCase("x = 3\nroar -x is ${x}, x + 1 is ${x + 1}-").statements;
+    const x = declaration.target;
+    assert.deepStrictEqual(
+      statement.values[0],
+      core.interpolatedString(["x is ", x, ", x + 1 is ", core.binaryExpression("+", x, core.numberLiteral(1))])
+    );
+    assert.strictEqual(statement.values[0].type, "string");
   });
 
-  it("handles boolean operators in conditions", () => {
-    const analyzed = analyzeTestCase("if (true == false) | x = 1 |");
-    assert.strictEqual(analyzed.statements[0].condition.operator, "==");
-    assert.strictEqual(analyzed.statements[0].condition.kind, "ComparisonExpression");
-    assert.strictEqual(analyzed.statements[0].condition.left.value, true);
-    assert.strictEqual(analyzed.statements[0].condition.right.value, false);
+  it("produces expected AST for arithmetic with precedence", () => {
+    const analyzed = analyzeTestCase("x = 1 + 2 * 3");
+    assert.deepStrictEqual(
+      analyzed.statements[0].expression,
+      core.binaryExpression(
+        "+",
+        core.numberLiteral(1),
+        core.binaryExpression("*", core.numberLiteral(2), core.numberLiteral(3))
+      )
+    );
   });
 
-  it("handles function calls with zero arguments", () => {
-    const analyzed = analyzeTestCase("result = calc()");
-    assert.strictEqual(analyzed.statements[0].expression.kind, "FunctionCall");
-    assert.strictEqual(analyzed.statements[0].expression.args.length, 0);
-  });
-
-  it("handles nested function calls with complex arguments", () => {
-    const analyzed = analyzeTestCase("calc(fact(x + 1), y)");
-    assert.strictEqual(analyzed.statements[0].args.length, 2);
+  it("folds arithmetic left to right", () => {
+    const analyzed = analyzeTestCase("x = 10 - 4 - 3");
+    const expression = analyzed.statements[0].expression;
+    assert.strictEqual(expression.op, "-");
+    assert.strictEqual(expression.left.op, "-");
+    assert.strictEqual(expression.right.value, 3);
   });
 
-  it("handles complex argument lists", () => {
-    const analyzed = analyzeTestCase("ignite test(a, b, c) | x = 1 |");
-    assert.strictEqual(analyzed.statements[0].params.length, 3);
-  });
-
-  it("handles complex argument processing", () => {
-    const analyzed = analyzeTestCase("fact(5 + 3 * 2)");
-    assert.strictEqual(analyzed.statements[0].args[0].kind, "BinaryExpression");
+  it("does not wrap plain expressions in comparisons", () => {
+    const analyzed = analyzeTestCase("x = 42");
+    assert.strictEqual(analyzed.statements[0].expression.kind, "NumberLiteral");
   });
 
-  it("handles recursive calls with valid types", () => {
-    const analyzed = analyzeTestCase("ignite factorial(n) | if (n == 0) | serve 1 | otherwise | serve n * factorial(n-1) | |");
-    assert.strictEqual(analyzed.statements[0].name, "factorial");
+  it("types comparisons as boolean", () => {
+    const analyzed = analyzeTestCase("x = 5 == 3");
+    assert.strictEqual(analyzed.statements[0].expression.operator, "==");
+    assert.strictEqual(analyzed.statements[0].target.type, "boolean");
   });
 
-  it("handles parser error conversion", () => {
-    assert.throws(() => {
-      analyzeTestCase("if (true) | x = 1 | }");
-    }, /Line 1, col/);
+  it("handles boolean literals", () => {
+    const analyzed = analyzeTestCase("flag = true\nnotFlag = false");
+    assert.strictEqual(analyzed.statements[0].expression.kind, "BooleanLiteral");
+    assert.strictEqual(analyzed.statements[0].expression.value, true);
+    assert.strictEqual(analyzed.statements[1].expression.value, false);
   });
 
-
-  it("handles specific parser errors", () => {
-    assert.throws(() => {
-      analyzeTestCase("Prowl i in range(5) | i = 10 |");
-    }, /Cannot reassign loop variable/);
+  it("handles boolean operators in conditions", () => {
+    const analyzed = analyzeTestCase("if (true == false) | x = 1 |");
+    const condition = analyzed.statements[0].condition;
+    assert.strictEqual(condition.kind, "ComparisonExpression");
+    assert.strictEqual(condition.operator, "==");
+    assert.strictEqual(condition.left.value, true);
+    assert.strictEqual(condition.right.value, false);
   });
 
-  it("handles propagated errors from grammar", () => {
-    assert.throws(() => {
-      analyzeTestCase("if (true) | x = 1");
-    }, /Expected/);
+  it("decodes escapes and keeps the spaces of strings", () => {
+    const [statement] = analyzeTestCase("roar - 2025\\-05\\-08\\t\\\\n\\n\\u{1f981} ${1}  -").statements;
+    assert.deepStrictEqual(statement.values[0].parts, [" 2025-05-08\t\\n\n\u{1f981} ", core.numberLiteral(1), "  "]);
   });
 
-  it("handles string comparison", () => {
-    const analyzed = analyzeTestCase("if (x is less than y) | z = 1 |");
-    assert.strictEqual(analyzed.statements[0].condition.operator, "is less than");
+  it("keeps the lines of multi-line strings as written", () => {
+    const [statement] = analyzeTestCase("roar ---\nwell-being\n  -${-a-}-\n---").statements;
+    assert.deepStrictEqual(statement.values[0].parts, ["\nwell-being\n  -", core.stringLiteral("a"), "-\n"]);
   });
 
   it("handles empty strings", () => {
@@ -204,254 +372,101 @@ describe("The LionCode Analyzer", () => {
     assert.strictEqual(analyzed.statements[0].expression.value, "");
   });
 
-  it("handles complex boolean expressions", () => {
-    const analyzed = analyzeTestCase("x = 5 == 3");
-    assert.ok(analyzed.statements[0].expression.operator.includes("==")); 
-  });
-
-  it("handles boolean literals in various contexts", () => {
-    const analyzed = analyzeTestCase("x = true");
-    assert.strictEqual(analyzed.statements[0].expression.value, true);
-  });
-
-  it("handles error conditions", () => {
-    assert.throws(() => {
-      analyzeTestCase("if (true) | x = 1 |"); 
-    });
-  });
-
-  it("handles nested blocks with return (fixture)", () => {
-    const analyzed = analyze({ testFixture: "nestedBlocksWithReturn" });
-    assert.strictEqual(analyzed.statements[0].kind, "FunctionDeclaration");
-  });
-  
-
-  it("handles test helper cases", () => {
-    assert.doesNotThrow(() => {
-      analyzeTestCase("x = 1");
-    });
-  });
-
-  it("handles parser error conversion", () => {
-    assert.throws(() => {
-      analyzeTestCase("5 + 3 = 8");
-    }, /Cannot assign to expression/);
-  });
-
-  it("handles specific error conditions", () => {
-    assert.throws(() => {
-      analyzeTestCase("Prowl i in range(-5) | |");
-    }, /Range requires non-negative value/);
-  });
-
-  it("handles special test fixtures", () => {
-    const fixture = { testFixture: "invalidRangeArgument" };
-    assert.throws(() => {
-      analyze(fixture);
-    }, /Range requires non-negative value/);
-  });
-
-  it("handles direct semantic objects", () => {
-
-    const match = parse("x = 5");
-    const analyzed = analyze(match);
-    assert.strictEqual(analyzed.kind, "Program");
-  });
-
-  it("handles break outside loop error", () => {
-    assert.throws(() => {
-      analyzeTestCase("break");
-    }, /Break can only appear in a loop/);
-  });
-
-  it("handles return with unknown context", () => {
-    assert.throws(() => {
-      analyzeTestCase("serve 5");
-    }, /Return statement outside function/);
-  });
-
-  it("handles boolean literals in various contexts", () => {
-    const analyzed = analyzeTestCase("flag = true");
-    assert.strictEqual(analyzed.statements[0].expression.value, true);
-  });
-
-  it("handles special test fixtures directly", () => {
-    const fixtures = [
-      { testFixture: "undeclaredVariable" },
-      { testFixture: "invalidLoopVariable" }
-    ];
-    
-    fixtures.forEach(fixture => {
-      assert.throws(() => {
-        analyze(fixture);
-      });
-    });
-  });
-
-  it("handles direct string analysis", () => {
-    assert.throws(() => {
-      analyzeTestCase("x = 5 / 0");
-    }, /Cannot divide by zero/);
-  });
-
-  it("tests error handling from direct input", () => {
-    assert.throws(() => {
-      analyzeTestCase("if (x == 5) |");
-    }, /Expected/);
-  });
-
-  it("analyzes object with input property", () => {
-    const result = analyzeTestCase("x = 5");
-    assert.strictEqual(result.kind, "Program");
-  });
-
-
-  
-
-  it("handles variable not found errors", () => {
-    assert.throws(() => {
-      analyzeTestCase("x = y");
-      
-    }, /Variable .* not declared/);
-  });
-
-
-  it("handles string interpolation", () => {
-    const analyzed = analyzeTestCase("x = -Hello ${5 + 3}-");
-
-    assert.ok(analyzed.statements[0].expression); 
-    const fixture = { testFixture: "stringInterpolation" };
-    const result = analyze(fixture);
-    assert.strictEqual(result.statements[0].expression.kind, "StringLiteral");
-  });
-
-
-  it("handles function declarations with return values", () => {
-    const analyzed = analyzeTestCase("ignite add(a, b) | serve a + b |");
-    assert.strictEqual(analyzed.statements[0].kind, "FunctionDeclaration");
-    assert.strictEqual(analyzed.statements[0].body.statements.length, 1);
+  it("handles function calls with zero arguments", () => {
+    const analyzed = analyzeTestCase("ignite calc() | serve 1 |\nresult = calc()");
+    assert.strictEqual(analyzed.statements[1].expression.kind, "FunctionCall");
+    assert.strictEqual(analyzed.statements[1].expression.args.length, 0);
   });
 
-
-  it("analyzes types in assignment statements", () => {
-    const analyzed = analyzeTestCase("x = 5\ny = x + 10");
-
-    assert.ok(analyzed.statements[1]); 
-    
-    assert.strictEqual(analyzed.statements[1].kind, "AssignmentStatement");
+  it("handles nested function calls with complex arguments", () => {
+    const analyzed = analyzeTestCase(`
+      ignite f(x) | serve x * 2 |
+      ignite g(a, b) | serve a + b |
+      y = 1
+      g(f(y + 1), y)
+    `);
+    const call = analyzed.statements[3];
+    assert.strictEqual(call.args.length, 2);
+    assert.strictEqual(call.args[0].kind, "FunctionCall");
+    assert.strictEqual(call.args[0].args[0].kind, "BinaryExpression");
   });
 
-
-  it("handles binary expressions with variables", () => {
-    const analyzed = analyzeTestCase("x = 5\ny = x * 2");
-
-    assert.strictEqual(analyzed.kind, "Program");
+  it("records function parameters", () => {
+    const analyzed = analyzeTestCase("ignite test(a, b, c) | x = 1 |");
+    assert.deepStrictEqual(
+      analyzed.statements[0].params.map(p => p.name),
+      ["a", "b", "c"]
+    );
   });
 
-
   it("handles empty parameter lists", () => {
     const analyzed = analyzeTestCase("ignite test() | x = 1 |");
     assert.strictEqual(analyzed.statements[0].params.length, 0);
   });
 
-
-  it("verifies return statement types", () => {
-    const analyzed = analyzeTestCase("ignite add(a, b) | serve a + b |");
-    assert.strictEqual(analyzed.statements[0].body.statements[0].kind, "ReturnStatement");
+  it("types builtin calls by their return type", () => {
+    const analyzed = analyzeTestCase("x = sqrt(16)");
+    assert.strictEqual(analyzed.statements[0].expression.type, "number");
   });
 
-
-  it("handles function calls with arguments", () => {
-    const analyzed = analyzeTestCase(`
-      ignite add(a, b) | serve a + b |
-      x = add(5, 10)
-    `);
-    assert.ok(analyzed.statements[1]); 
-    assert.strictEqual(analyzed.kind, "Program");
+  it("keeps the root scope free of anything but builtins", () => {
+    for (const name of ["x", "y", "z", "i", "calc", "fact", "func"]) {
+      assert.throws(() => analyzeTestCase(`roar ${name}`), /not declared/);
+    }
   });
 
-
-  it("analyzes nested scopes correctly", () => {
+  it("resolves reassignments to the declared variable", () => {
     const analyzed = analyzeTestCase(`
-      x = 5
-      ignite test() |
-        y = x + 1
-        serve y 
+      value = 0
+      Prowl x in range(5) |
+        value = value + x
       |
     `);
-    assert.strictEqual(analyzed.statements[1].body.statements[0].target.name, "y");
-  });
-
-  it("handles break statements in loops", () => {
-    const analyzed = analyzeTestCase("Prowl i in range(5) | break |");
-    assert.strictEqual(analyzed.statements[0].body.statements[0].kind, "BreakStatement");
-  });
-
-  it("handles boolean literals in conditions", () => {
-    const analyzed = analyzeTestCase("if (true) | x = 1 |");
-    assert.ok(analyzed.statements[0].condition); 
-    
-    assert.strictEqual(analyzed.statements[0].kind, "IfStatement");
+    const declared = analyzed.statements[0].target;
+    const reassignment = analyzed.statements[1].body.statements[0];
+    assert.strictEqual(reassignment.target, declared);
+    assert.strictEqual(reassignment.expression.left, declared);
   });
 
-  it("accepts complex math expression", () => {
-    const analyzed = analyzeTestCase("x = 10 % 2");
-    assert.strictEqual(analyzed.kind, "Program");
+  it("marks loop variables immutable", () => {
+    const analyzed = analyzeTestCase("Prowl i in range(5) | roar i |");
+    assert.strictEqual(analyzed.statements[0].variable.name, "i");
+    assert.strictEqual(analyzed.statements[0].variable.mutable, false);
   });
 
-  describe("getTestInput helper coverage", () => {
-    it("extracts input property if available", () => {
-
-      const result = analyzeTestCase("x = 5");
-      assert.strictEqual(result.kind, "Program");
-    });
-  
-    it("handles string input", () => {
-      const result = analyzeTestCase("x = 5");
-      
-      assert.strictEqual(result.kind, "Program");
-    });
+  it("analyzes else options as nested if statements", () => {
+    const analyzed = analyzeTestCase("x = 1\nif (x == 1) | roar -one- | else (x == 2) | roar -two- |");
+    const alternate = analyzed.statements[1].alternate;
+    assert.strictEqual(alternate.kind, "IfStatement");
+    assert.strictEqual(alternate.condition.right.value, 2);
   });
-  
-
 
-  describe("handleSpecialCases edge cases", () => {
-    it("handles empty interpolation", () => {
-      const result = analyze("x = -$()-");
-      assert.strictEqual(result.statements[0].expression.kind, "StringLiteral");
-    });
-  
-    it("handles simple valid input not triggering errors", () => {
-      const result = analyze("if (x is less than y) | z = 1 |");
-      assert.strictEqual(result.kind, "Program");
-    });
+  it("infers the types of parameters, serves and variables", () => {
+    const [func, first, second] = analyzeTestCase("ignite f(n) | serve [n] |\nx = f(2)\ny = at(x, 0)\ny = 1").statements;
+    assert.strictEqual(func.params[0].type, "number");
+    assert.strictEqual(func.returnType, "[number]");
+    assert.strictEqual(first.target.type, "[number]");
+    assert.strictEqual(second.target.type, "number");
   });
-  
 
-  describe("error handling in parser", () => {
-    it("handles syntax errors from parser", () => {
-
-      assert.throws(() => {
-        analyzeTestCase("5 + 3 = 8");
-      }, /Cannot assign to expression/);
-    });
+  it("keeps types unknown when nothing tells them", () => {
+    const [func] = analyzeTestCase("ignite f(n) | roar n |").statements;
+    assert.strictEqual(func.params[0].type, "any");
+    assert.strictEqual(func.returnType, null);
   });
 
-  it("handles complex variable shadowing", () => {
+  it("analyzes nested scopes correctly", () => {
     const analyzed = analyzeTestCase(`
-      x = 10
+      x = 5
       ignite test() |
-        x = 20
-        y = x + 5
+        y = x + 1
         serve y
       |
-      z = x
     `);
-    assert.strictEqual(analyzed.statements[2].kind, "AssignmentStatement");
+    assert.strictEqual(analyzed.statements[1].body.statements[0].target.name, "y");
   });
 
   it("handles multi-level scope lookups", () => {
-
     const analyzed = analyzeTestCase(`
       a = 1
       b = 2
@@ -464,486 +479,208 @@ describe("The LionCode Analyzer", () => {
         serve inner()
       |
     `);
-    assert.ok(analyzed.statements[0].kind === "AssignmentStatement");
-  });
-
-  it("handles cases where types cannot be inferred", () => {
-    const fixture = { 
-      testFixture: "inferenceCase"
-    };
-    const analyzed = analyze(fixture);
-    assert.ok(analyzed);
-  });
-
-  it("handles function calls with complex expression arguments", () => {
-    const analyzed = analyzeTestCase(`
-      ignite add(a, b) | serve a + b |
-      result = add(5 * 2, 10 / 2)
-    `);
-    assert.ok(analyzed.statements[1]); 
-    assert.strictEqual(analyzed.kind, "Program");
-  });
-
-  it("processes boolean literal assignments in if statements", () => {
-    const analyzed = analyzeTestCase(`
-      if (true) |
-        flag = false
-      |
-    `);
-    assert.ok(analyzed.statements[0].consequent.statements[0]);
-    assert.strictEqual(analyzed.statements[0].consequent.statements[0].kind, "AssignmentStatement");
+    assert.strictEqual(analyzed.statements[2].body.statements[1].kind, "FunctionDeclaration");
   });
 
-  it("handles special case for return statements with complex expressions", () => {
-
-    const analyzed = analyzeTestCase(`
-      ignite test() |
-        serve 5 + 10 * 2
-      |
-    `);
-    assert.strictEqual(analyzed.statements[0].body.statements[0].kind, "ReturnStatement");
+  it("reports syntax errors before analysis", () => {
+    assert.throws(() => analyzeTestCase("5 + 3 = 8"), /Line 1, col/);
+    assert.throws(() => analyzeTestCase("Prowl 123 in range(5) | |"), /Line 1, col/);
+    assert.throws(() => analyzeTestCase("if (true) | x = 1"), /Expected/);
   });
 
-  it("handles edge cases in special cases handler", () => {
-
-    assert.throws(() => {
-      analyzeTestCase("x = true + 5");
-    }, /Cannot apply \+ to boolean and number/);
-    
-    const analyzed = analyzeTestCase("x = 5");
-    assert.ok(analyzed);
+  it("records where each node came from", () => {
+    const analyzed = analyzeTestCase("x = 1\ny = x + 2");
+    const assignment = analyzed.statements[1];
+    assert.strictEqual(assignment.source.contents, "y = x + 2");
+    assert.strictEqual(assignment.expression.source.contents, "x + 2");
+    assert.ok(!Object.keys(assignment).includes("source"));
   });
 
-  it("handles complex context switching", () => {
-
-    const analyzed = analyzeTestCase(`
-      x = 10
-      ignite outer() |
-        y = x
-        serve y
-      |
-    `);
-    assert.strictEqual(analyzed.statements[1].body.statements[0].kind, "AssignmentStatement");
-  });
-  it("covers assignment source with '-' and '+'", () => {
-    const analyzed = analyzeTestCase("x = -hello- + 5");
-    assert.strictEqual(analyzed.kind, "Program");
-  });
-  it("covers ArgumentList multiple args", () => {
-    const analyzed = analyzeTestCase("ignite add(a, b, c) | serve a + b + c |\nadd(1, 2, 3)");
-    assert.strictEqual(analyzed.kind, "Program");
-  });
-
-  describe("Coverage for deeply nested AST structures", () => {
-    it("handles deeply nested function structures", () => {
-      const analyzed = analyzeTestCase(`
-        ignite level1() |
-          ignite level2() |
-            ignite level3() |
-              x = 1
-              serve x
-            |
-            serve level3()
-          |
-          serve level2()
-        |
-      `);
-      assert.strictEqual(analyzed.kind, "Program");
+  it("reports the line and column of semantic errors", () => {
+    assert.throws(() => analyzeTestCase("x = 1\ny = x + 5 / 0"), error => {
+      assert.strictEqual(error.reason, "Cannot divide by zero");
+      assert.deepStrictEqual([error.line, error.column], [2, 9]);
+      assert.match(error.message, /^Line 2, col 9:\n/);
+      assert.match(error.frame, /> 2 \| y = x \+ 5 \/ 0\n {14}\^~~~~/);
+      return true;
     });
-
-
-    it("exercises context traversal in deep structures", () => {
-      const analyzed = analyzeTestCase(`
-        a = 1
-        ignite outer(n) |
-          ignite middle() |
-            ignite inner() |
-              x = a + n
-              serve x
-            |
-            serve middle()
-          |
-          serve outer()
-        |
-      `);
-      assert.strictEqual(analyzed.kind, "Program");
-    });
-
-
-    it("handles compatible type shadowing", () => {
-      const analyzed = analyzeTestCase(`
-        x = 5
-        ignite test() |
-          x = 10  
-          serve x
-        |
-      `);
-      assert.strictEqual(analyzed.kind, "Program");
-    });
-
-
-    it("handles function declarations with recursion", () => {
-      const analyzed = analyzeTestCase(`
-        ignite factorial(n) |
-          if (n == 0) |
-            serve 1
-          | otherwise |
-            serve n * factorial(n-1)
-          |
-        |
-      `);
-      assert.strictEqual(analyzed.statements[0].kind, "FunctionDeclaration");
+    assert.throws(() => analyzeTestCase("if (true) |\n  roar y\n|"), error => {
+      assert.deepStrictEqual([error.line, error.column], [2, 8]);
+      return true;
     });
+  });
 
-
-    it("exercises context lookup with shadowing", () => {
-      const analyzed = analyzeTestCase(`
-        x = 5
-        ignite f() |
-          y = x
-          x = 10  
-          z = x   
-          serve z
-        |
-      `);
-      assert.strictEqual(analyzed.kind, "Program");
-    });
-
-
-    it("handles string concatenation with numbers", () => {
-      const analyzed = analyzeTestCase(`
-        s = -hello-
-        n = 5
-        result = s + n  
-      `);
-      assert.strictEqual(analyzed.kind, "Program");
-    });
-
-
-    it("handles nested expressions in function arguments", () => {
-      const analyzed = analyzeTestCase(`
-        ignite calc(a, b) | serve a + b |
-        result = calc((3 + 2) * 4, 10 / (2 + 3))
-      `);
-      assert.strictEqual(analyzed.kind, "Program");
-    });
-
-
-    it("uses booleans in multiple contexts", () => {
-      const analyzed = analyzeTestCase(`
-        flag = true
-        if (flag) |
-          x = 1
-        | otherwise |
-          x = 2
-        |
-      `);
-      assert.strictEqual(analyzed.statements[1].kind, "IfStatement");
-    });
-
-
-    it("creates complex return expressions", () => {
-      const analyzed = analyzeTestCase(`
-        ignite compute() |
-          a = 5
-          b = 10
-          serve (a + b) * (a - b) / 2
-        |
-      `);
-      assert.strictEqual(analyzed.statements[0].body.statements[2].kind, "ReturnStatement");
-    });
-
-
-    it("checks multiple special cases", () => {
-
-      const analyzed1 = analyzeTestCase("x = -Hello $(5 + 3)-");
-      assert.ok(analyzed1);
-      
-
-      const analyzed2 = analyzeTestCase("x = 5 * 3 + 2");
-      assert.ok(analyzed2);
+  it("keeps analyzing after errors when collecting diagnostics", () => {
+    const diagnostics = [];
+    const analyzed = analyze(
+      parse("roar nope\nx = nope * -s-\nz = f(1)\nw = sqrt(1, 2)\nv = 1 + true + 2\nroar x"),
+      undefined,
+      { diagnostics }
+    );
+    assert.deepStrictEqual(
+      diagnostics.map(d => [d.line, d.reason]),
+      [
+        [1, "Variable 'nope' not declared"],
+        [2, "Cannot apply * to any and string"],
+        [3, "Variable 'f' not declared"],
+        [4, "Expected 1 argument(s) but 2 passed"],
+        [5, "Cannot apply + to number and boolean"],
+      ]
+    );
+    assert.strictEqual(analyzed.statements.length, 6);
+  });
+
+  it("keeps statements whose checks failed", () => {
+    const diagnostics = [];
+    const analyzed = analyze(parse("x = 1\nx = -one-\nroar x"), undefined, { diagnostics });
+    assert.deepStrictEqual(diagnostics.map(d => d.reason), ["Operands must have the same type"]);
+    assert.strictEqual(analyzed.statements.length, 3);
+  });
+
+  it("warns about code after serve or break", () => {
+    const diagnostics = [];
+    analyze(
+      parse("Prowl i in range(3) | break\n~ fine ~\nroar i |\nignite f() | serve 1 |"),
+      undefined,
+      { diagnostics }
+    );
+    assert.deepStrictEqual(
+      diagnostics.map(d => [d.severity, d.line, d.reason]),
+      [["warning", 3, "Unreachable code"]]
+    );
+  });
+
+  it("types lists by their elements", () => {
+    const analyzed = analyzeTestCase("xs = [[1], []]\ny = xs[0]\nz = y[0]\nn = length(xs)");
+    assert.deepStrictEqual(
+      analyzed.statements.map(s => s.target.type),
+      ["[[number]]", "[number]", "number", "number"]
+    );
+  });
+
+  it("types instances and their members", () => {
+    const analyzed = analyzeTestCase(
+      "pride Lion | age = 1\nignite older() | serve self.age + 1 | |\nl = Lion()\nx = l.age\ny = l.older()"
+    );
+    const [lion, l, x, y] = analyzed.statements;
+    assert.strictEqual(l.target.type, "Lion");
+    assert.strictEqual(l.expression.callee, lion);
+    assert.strictEqual(x.target.type, "number");
+    assert.strictEqual(y.expression.method, lion.members[1]);
+  });
+
+  it("types defaults and safe members", () => {
+    const analyzed = analyzeTestCase(
+      "pride A | v = 1 |\na = [A(), nothing][1]\nb = a?.v\nc = b ?? 2\nd = nothing ?? nothing\nxs = [nothing, 1]"
+    );
+    assert.deepStrictEqual(
+      analyzed.statements.slice(1).map(s => s.target.type),
+      ["A?", "number?", "number", "any?", "[number?]"]
+    );
+  });
+
+  it("narrows tested variables without replacing them", () => {
+    const analyzed = analyzeTestCase("x = nothing\nif (x != nothing) | y = x * 2 |");
+    const [declaration, test] = analyzed.statements;
+    const use = test.consequent.statements[0].expression.left;
+    assert.strictEqual(use.kind, "NarrowedExpression");
+    assert.strictEqual(use.expression, declaration.target);
+    assert.strictEqual(use.type, "any");
+  });
+
+  it("warns about unwrapping values that are never nothing", () => {
+    const diagnostics = [];
+    analyze(parse("pride A | ignite f() | | |\na = A()\nb = a?.f()\nc = 1 ?? 2"), undefined, { diagnostics });
+    assert.deepStrictEqual(
+      diagnostics.map(d => [d.severity, d.reason]),
+      [
+        ["warning", "Unnecessary ?., since A is never nothing"],
+        ["warning", "Unnecessary ??, since number is never nothing"],
+      ]
+    );
+  });
+
+  it("warns about loops that never end", () => {
+    const warnings = source => {
+      const diagnostics = [];
+      analyze(parse(source), undefined, { diagnostics });
+      return diagnostics.map(d => [d.severity, d.reason, d.line, d.column]);
+    };
+    const endless = ["warning", "Loop never ends, since its condition is always true and nothing breaks out of it"];
+    assert.deepStrictEqual(warnings("Prowl while (true) | x = 1 |"), [[...endless, 1, 14]]);
+    assert.deepStrictEqual(
+      warnings("Prowl while (true) | Prowl i in range(3) | break | |"),
+      [[...endless, 1, 14]]
+    );
+    assert.deepStrictEqual(warnings("Prowl while (true) | if (1 == 1) | | otherwise | break | |"), []);
+    assert.deepStrictEqual(warnings("x = true\nProwl while (x) | x = false |"), []);
+  });
+
+  it("places errors about variables where they are used", () => {
+    assert.throws(() => analyzeTestCase("x = nothing\ny = 1\nz = y + x"), error => {
+      assert.deepStrictEqual([error.line, error.column], [3, 9]);
+      return true;
     });
-
-    it("handles nested expressions in function arguments", () => {
-      const analyzed = analyzeTestCase(`
-        ignite calc(a, b) | serve a + b |
-        result = calc(5, 10)
-      `);
-      assert.strictEqual(analyzed.kind, "Program");
+    assert.throws(() => analyzeTestCase("s = -a-\nif (s) | |"), error => {
+      assert.deepStrictEqual([error.line, error.column], [2, 5]);
+      return true;
     });
   });
-});
-
-
-
-
-describe("Special test fixture coverage", () => {
-  it("covers line 284-302 with complex test fixtures", () => {
-
-    const analyzed = analyze({ testFixture: "nestedBlocks" });
-    assert.strictEqual(analyzed.kind, "Program");
-    assert.strictEqual(analyzed.statements[0].kind, "FunctionDeclaration");
-    assert.strictEqual(analyzed.statements[0].body.statements[0].kind, "FunctionDeclaration");
-  });
-});
-
-
-describe("Context class operations", () => {
-  it("exercises context add and lookup operations", () => {
-
-    const source = `
-      ignite outer() |
-        x = 5  
-        ignite inner() |
-          y = x + 1  
-          serve y
-        |
-        serve inner()
-      |
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[0].kind, "FunctionDeclaration");
-    assert.strictEqual(analyzed.statements[0].body.statements[0].kind, "AssignmentStatement");
-  });
-  
-  it("covers redeclared variable error in same scope", () => {
-    assert.throws(() => {
-      analyzeTestCase(`
-        x = 5
-        x = 10  
-      `);
-    }, /Variable already declared: x/);
-  });
-});
 
-
-describe("Deep context nesting", () => {
-  it("handles context references through multiple levels", () => {
-    const source = `
-      a = 1
-      ignite level1() |
-        b = a  
-        
-        ignite level2() |
-          c = a + b  
-          
-          ignite level3() |
-            d = a + b + c  
-            
-            serve d
-          |
-          serve level3()
-        |
-        serve level2()
-      |
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[0].kind, "AssignmentStatement");
-    assert.strictEqual(analyzed.statements[1].kind, "FunctionDeclaration");
+  it("gives and precedence over or, and not over both", () => {
+    const [, statement] = analyzeTestCase("b = true\nc = not b or b and b").statements;
+    const { expression } = statement;
+    assert.strictEqual(expression.op, "or");
+    assert.strictEqual(expression.left.kind, "UnaryExpression");
+    assert.strictEqual(expression.right.op, "and");
+    assert.strictEqual(expression.type, "boolean");
+  });
+
+  it("reads a minus sign before a number as a negative number", () => {
+    const [first, second] = analyzeTestCase("x = -5\ny = -x").statements;
+    assert.strictEqual(first.expression.kind, "NumberLiteral");
+    assert.strictEqual(first.expression.value, -5);
+    assert.strictEqual(second.expression.kind, "UnaryExpression");
+    assert.strictEqual(second.expression.operand, first.target);
+  });
+
+  it("keeps numbers as they were written", () => {
+    const values = analyzeTestCase("x = [3.14, 1e3, 0xFF, 1_000, -0x10, - -2.5]").statements[0].expression.elements;
+    assert.deepStrictEqual(
+      values.map(({ value, lexeme }) => [value, lexeme]),
+      [[3.14, "3.14"], [1000, "1e3"], [255, "0xFF"], [1000, "1_000"], [-16, "-0x10"], [2.5, "2.5"]]
+    );
+  });
+
+  it("nests else branches and keeps the final otherwise", () => {
+    const [statement] = analyzeTestCase(
+      "if (1 == 1) | roar -a- | else (1 == 2) | roar -b- | else (1 == 3) | roar -c- | otherwise | roar -d- |"
+    ).statements;
+    const printed = [];
+    let branch = statement;
+    while (branch.kind === "IfStatement") {
+      printed.push(branch.consequent.statements[0].values[0].value);
+      branch = branch.alternate;
+    }
+    printed.push(branch.statements[0].values[0].value);
+    assert.deepStrictEqual(printed, ["a", "b", "c", "d"]);
+  });
+
+  it("gives loop variables the type of the items they loop over", () => {
+    const typeOfItem = collection =>
+      analyzeTestCase(`xs = ${collection}\nProwl x in xs | |`).statements[1].variable.type;
+    assert.strictEqual(typeOfItem("[1, 2]"), "number");
+    assert.strictEqual(typeOfItem("[[1], [2]]"), "[number]");
+    assert.strictEqual(typeOfItem("-abc-"), "string");
+    assert.strictEqual(typeOfItem("[nothing, 1]"), "number?");
+  });
+
+  it("warns about statements after a skip", () => {
+    const diagnostics = [];
+    analyze(parse("Prowl i in range(3) | skip\n~done~\nroar i |"), undefined, { diagnostics });
+    assert.deepStrictEqual(
+      diagnostics.map(d => [d.severity, d.reason, d.line]),
+      [["warning", "Unreachable code", 3]]
+    );
   });
 });
-
-
-describe("Variable shadowing and type handling", () => {
-  it("handles variable shadowing with same type", () => {
-    const source = `
-      x = 5
-      ignite test() |
-        x = 10  
-        
-        serve x
-      |
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[0].kind, "AssignmentStatement");
-    assert.strictEqual(analyzed.statements[1].kind, "FunctionDeclaration");
-  });
-
-  it("covers lines 563-564 with function declarations and complex bodies", () => {
-    const source = `
-      ignite complex(a) |
-        b = a + 1
-        if (b == 10) |
-          serve b
-        | otherwise |
-          serve a
-        |
-      |
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[0].kind, "FunctionDeclaration");
-    assert.strictEqual(analyzed.statements[0].body.statements[1].kind, "IfStatement");
-  });
-});
-
-
-describe("Function declaration edge cases", () => {
-  it("handles recursive function with proper context lookup", () => {
-    const source = `
-      ignite factorial(n) |
-        if (n == 0) |
-          serve 1
-        | otherwise |
-          serve n * factorial(n-1)  
-        |
-      |
-      result = factorial(5)
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[0].kind, "FunctionDeclaration");
-    assert.strictEqual(analyzed.statements[1].kind, "AssignmentStatement");
-  });
-
-  it("handles multi-level context lookups (line 655)", () => {
-    const source = `
-      x = 5
-      y = 10
-      ignite outer() |
-        z = x + y  
-        ignite inner() |
-          w = x + y + z  
-          serve w
-        |
-        serve inner()
-      |
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[2].kind, "FunctionDeclaration");
-  });
-});
-
-
-describe("Mixed type operations", () => {
-  it("handles mixed string and number operations", () => {
-
-    assert.throws(() => {
-      analyzeTestCase("x = -hello- % 3");
-    }, /Modulus requires number operands/);
-    
-
-    const analyzed = analyzeTestCase("msg = -Count: - + 5");
-    assert.strictEqual(analyzed.statements[0].expression.kind, "BinaryExpression");
-    assert.strictEqual(analyzed.statements[0].expression.op, "+");
-  });
-});
-
-
-describe("Complex function call handling", () => {
-  it("handles nested function calls with complex arguments", () => {
-    const source = `
-      ignite f(x) | serve x * 2 |
-      ignite g(y) | serve y + 3 |
-      result = f(g(5))  
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[2].expression.kind, "FunctionCall");
-  });
-});
-
-describe("Boolean expression handling", () => {
-  it("handles boolean conversion in expressions", () => {
-    const source = `
-      flag = true
-      if (flag == true) |  
-        x = 1
-      |
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[1].condition.kind, "ComparisonExpression");
-    assert.strictEqual(analyzed.statements[1].condition.operator, "==");
-  });
-});
-
-describe("Complex return statements", () => {
-  it("handles complex expressions in return statements", () => {
-    const source = `
-      ignite calculate() |
-        a = 5
-        b = 10
-        serve (a * b) + (b / a)   
-      |
-    `;
-    const analyzed = analyzeTestCase(source);
-    assert.strictEqual(analyzed.statements[0].body.statements[2].kind, "ReturnStatement");
-    assert.strictEqual(analyzed.statements[0].body.statements[2].expression.kind, "BinaryExpression");
-  });
-});
-
-describe("Special case handler edge cases", () => {
-  it("exercises special case handlers", () => {
-    const analyzed1 = analyzeTestCase("x = -$()-");  
-    
-    assert.strictEqual(analyzed1.statements[0].expression.kind, "StringLiteral");
-    
-    const analyzed2 = analyzeTestCase("x = --");  
-    
-    assert.strictEqual(analyzed2.statements[0].expression.value, "");
-    
-
-    const analyzed3 = analyzeTestCase("x = (true == false)");
-    assert.strictEqual(analyzed3.statements[0].expression.kind, "ComparisonExpression");
-  });
-});
-
-
-describe("Error handling in special cases", () => {
-  it("handles test fixture errors directly", () => {
-
-    assert.throws(() => {
-      analyze({ testFixture: "invalidEquality" });
-    }, /Cannot compare function and number/);
-    
-
-    assert.throws(() => {
-      analyze({ testFixture: "tooManyArguments" });
-    }, /Expected 1 argument\(s\) but 3 passed/);
-  });
-});
-
-
-it("handles context error cases", () => {
-  assert.throws(() => {
-    analyzeTestCase(`
-      x = 1
-      Prowl x in range(5) |
-        y = x  
-        
-        x = 10  
-        
-      |
-    `);
-  }, /Cannot reassign loop variable/);
-});
-
-
-it("handles complex variable access across contexts", () => {
-  const source = `
-    x = 5
-    ignite outer() |
-      x = x + 1  
-      
-      y = x + 2  
-      
-      ignite inner() |
-        z = x + y  
-        
-        serve z
-      |
-      serve inner()
-    |
-  `;
-  const analyzed = analyzeTestCase(source);
-  assert.strictEqual(analyzed.statements[1].body.statements[0].kind, "AssignmentStatement");
-});
-
-it("detects type mismatches in operations", () => {
-
-  assert.throws(() => {
-    analyzeTestCase("x = true + 5");
-  }, /Cannot apply \+ to boolean and number/);
-  
-
-  assert.throws(() => {
-    analyzeTestCase("if (func() == 5) | x = 1 |");
-  }, /Cannot compare function and number/);
-});
\ No newline at end of file
@@ -1,9 +1,27 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as vm from 'node:vm';
 import compile from '../src/compiler.js';
 
 const sampleProgram = 'roar-0-';
 
+const examples = [
+  ['conditions.lioncode', ['10 is greater than 5']],
+  ['evenorodd.lioncode', []],
+  ['maximum.lioncode', ['Maximum value is 9']],
+  ['pride.lioncode', ['5']],
+  ['pythagorean.lioncode', ['2.5']],
+  ['sum.lioncode', ['10']],
+];
+
+// Runs generated JavaScript, returning everything it printed
+function run(js) {
+  const printed = [];
+  vm.runInNewContext(js, { console: { log: (...args) => printed.push(args.join(' ')) } });
+  return printed;
+}
+
 describe('The compiler', () => {
   it('throws when the output type is missing', () => {
     assert.throws(() => compile(sampleProgram), /Unknown output type/);
@@ -14,20 +32,65 @@ describe('The compiler', () => {
       /Unknown output type/
     );
   });
-  // it('accepts the parsed option', () => {
-  //   const compiled = compile(sampleProgram, 'parsed');
-  //   assert(compiled.startsWith('Syntax is ok'));
-  // });
+  it('accepts the parsed option', () => {
+    const compiled = compile(sampleProgram, 'parsed');
+    assert(compiled.startsWith('Syntax is ok'));
+  });
   it('accepts the analyzed option', () => {
-  const compiled = compile(sampleProgram, 'analyzed');
-  assert(compiled.kind === 'Program');
-  });
-  //   it('accepts the optimized option', () => {
-  //     const compiled = compile(sampleProgram, 'optimized');
-  //     assert(compiled.kind === 'Program');
-  //   });
-  //   it('generates js code when given the js option', () => {
-  //     const compiled = compile(sampleProgram, 'js');
-  //     assert(compiled.startsWith('console.log(0)'));
-  //   });
+    const compiled = compile(sampleProgram, 'analyzed');
+    assert(compiled.kind === 'Program');
+  });
+  it('accepts the optimized option', () => {
+    const compiled = compile(sampleProgram, 'optimized');
+    assert(compiled.kind === 'Program');
+  });
+  it('generates js code when given the js option', () => {
+    const compiled = compile(sampleProgram, 'js');
+    assert(compiled.startsWith('console.log("0")'));
+  });
+  it('optimizes before generating', () => {
+    const compiled = compile('x = 2 * 3\nroar x', 'js');
+    assert.strictEqual(compiled, 'let x = 6;\nconsole.log(x);');
+  });
+  it('reports every error in a program at once', () => {
+    const diagnostics = [];
+    assert.throws(
+      () => compile('x = 1 + true\nroar y\ny = y + 1\nbreak', 'js', { diagnostics }),
+      (error) => {
+        assert.strictEqual(error.diagnostics, diagnostics);
+        assert.match(error.message, /Cannot apply \+ to number and boolean\n[^]*Variable 'y' not declared/);
+        return true;
+      }
+    );
+    assert.deepStrictEqual(
+      diagnostics.map((d) => [d.severity, d.line, d.reason]),
+      [
+        ['error', 1, 'Cannot apply + to number and boolean'],
+        ['error', 2, "Variable 'y' not declared"],
+        ['error', 4, 'Break can only appear in a loop'],
+      ]
+    );
+  });
+  it('reports syntax errors as diagnostics', () => {
+    const diagnostics = [];
+    assert.throws(() => compile('x = (1', 'js', { diagnostics }), /Expected/);
+    assert.deepStrictEqual(diagnostics.map((d) => d.severity), ['error']);
+  });
+  it('compiles programs that only have warnings', () => {
+    const diagnostics = [];
+    const js = compile('ignite f() | serve 1\nroar -never- |', 'js', { diagnostics });
+    assert.match(js, /return 1;/);
+    assert.deepStrictEqual(
+      diagnostics.map((d) => [d.severity, d.line, d.reason]),
+      [['warning', 2, 'Unreachable code']]
+    );
+  });
+
+  for (const [example, expected] of examples) {
+    it(`compiles examples/${example} to runnable js`, () => {
+      const source = fs.readFileSync(`examples/${example}`, 'utf-8');
+      const js = compile(source, 'js');
+      assert.deepStrictEqual(run(js), expected);
+    });
+  }
 });
@@ -39,7 +39,9 @@ describe("Core AST nodes", () => {
     const value = core.stringLiteral("Hello, world!");
     const printStmt = core.printStatement(value);
     assert.strictEqual(printStmt.kind, "PrintStatement");
-    assert.strictEqual(printStmt.value.value, "Hello, world!");
+    assert.strictEqual(printStmt.values[0].value, "Hello, world!");
+    const several = core.printStatement(value, core.numberLiteral(1));
+    assert.deepStrictEqual(several.values, [value, core.numberLiteral(1)]);
   });
 
   it("creates function declaration nodes", () => {
@@ -75,6 +77,11 @@ describe("Core AST nodes", () => {
     const range = core.rangeExpression(value);
     assert.strictEqual(range.kind, "RangeExpression");
     assert.strictEqual(range.value.value, 5);
+    assert.strictEqual(range.start, null);
+    assert.strictEqual(range.step, null);
+    const countdown = core.rangeExpression(core.numberLiteral(0), value, core.numberLiteral(-1));
+    assert.strictEqual(countdown.start, value);
+    assert.strictEqual(countdown.step.value, -1);
   });
 
   it("creates comparison expression nodes", () => {
@@ -94,6 +101,14 @@ describe("Core AST nodes", () => {
     assert.strictEqual(binary.type, "number");
   });
 
+  it("creates unary expression nodes", () => {
+    const negation = core.unaryExpression("-", core.identifier("x", "number"));
+    assert.strictEqual(negation.kind, "UnaryExpression");
+    assert.strictEqual(negation.operator, "-");
+    assert.strictEqual(negation.type, "number");
+    assert.strictEqual(core.unaryExpression("!", core.booleanLiteral(true)).type, "boolean");
+  });
+
   it("creates identifier nodes", () => {
     const id = core.identifier("x", "number");
     assert.strictEqual(id.kind, "Identifier");
@@ -105,7 +120,9 @@ describe("Core AST nodes", () => {
     const num = core.numberLiteral(42);
     assert.strictEqual(num.kind, "NumberLiteral");
     assert.strictEqual(num.value, 42);
+    assert.strictEqual(num.lexeme, "42");
     assert.strictEqual(num.type, "number");
+    assert.strictEqual(core.numberLiteral(255, "0xFF").lexeme, "0xFF");
   });
 
   it("creates parenthesized expression nodes", () => {
@@ -233,5 +250,16 @@ describe("Core AST nodes", () => {
     const expr = core.binaryExpression("+", left, right);
     assert.strictEqual(expr.type, undefined);
   });
-  
-});
\ No newline at end of file
+
+  it("creates class nodes and finds their members", () => {
+    const age = core.fieldDeclaration("age", core.numberLiteral(0));
+    const greet = core.functionDeclaration("greet", [], core.block([]));
+    const lion = core.classDeclaration("Lion", [core.comment("lions"), age, greet]);
+    assert.strictEqual(core.memberOf(lion, "age"), age);
+    assert.strictEqual(core.memberOf(lion, "greet"), greet);
+    assert.strictEqual(core.memberOf(lion, "mane"), undefined);
+    assert.strictEqual(age.type, "number");
+    assert.strictEqual(core.constructorCall(lion, []).type, "Lion");
+    assert.strictEqual(core.methodCall(core.selfExpression("Lion"), "greet", [], greet).type, "any");
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatError } from "../src/errors.js";
+import { analyzeTestCase } from "./test-helpers.js";
+
+describe("Error formatting", () => {
+  it("prefixes located errors with file, line and column", () => {
+    try {
+      analyzeTestCase("x = 1\nroar y");
+      assert.fail("expected an error");
+    } catch (error) {
+      assert.strictEqual(
+        formatError(error, "lion.lioncode"),
+        "lion.lioncode:2:6: Variable 'y' not declared\n  1 | x = 1\n> 2 | roar y\n           ^"
+      );
+    }
+  });
+
+  it("labels warnings", () => {
+    const warning = Object.assign(new Error("x"), {
+      severity: "warning",
+      reason: "Unreachable code",
+      line: 3,
+      column: 1,
+      frame: "> 3 | roar -x-\n      ^~~~~~~~",
+    });
+    assert.strictEqual(
+      formatError(warning, "f.lioncode"),
+      "f.lioncode:3:1: warning: Unreachable code\n> 3 | roar -x-\n      ^~~~~~~~"
+    );
+  });
+
+  it("leaves errors without a location alone", () => {
+    assert.strictEqual(formatError(new Error("Runtime error: boom"), "f"), "Runtime error: boom");
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
 import generate from "../src/generator.js";
+import * as core from "../src/core.js";
 
 describe("The LionCode Generator", () => {
   it("generates code for variable declarations", () => {
@@ -9,6 +10,7 @@ describe("The LionCode Generator", () => {
       statements: [{
         kind: "AssignmentStatement",
         target: { kind: "Identifier", name: "x" },
+        declaration: true,
         expression: { kind: "NumberLiteral", value: 5 }
       }]
     };
@@ -16,12 +18,24 @@ describe("The LionCode Generator", () => {
     assert.strictEqual(result, "let x = 5;");
   });
 
+  it("generates constants", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [{
+        kind: "ConstantDeclaration",
+        variable: { kind: "Identifier", name: "limit" },
+        initializer: { kind: "NumberLiteral", value: 3 }
+      }]
+    };
+    assert.strictEqual(generate(mockAST), "const limit = 3;");
+  });
+
   it("generates code for print statements", () => {
     const mockAST = {
       kind: "Program",
       statements: [{
         kind: "PrintStatement",
-        value: { kind: "StringLiteral", value: "Hello, world!" }
+        values: [{ kind: "StringLiteral", value: "Hello, world!" }]
       }]
     };
     const result = generate(mockAST);
@@ -29,15 +43,14 @@ describe("The LionCode Generator", () => {
   });
 
   it("generates code for function declarations", () => {
+    const a = { kind: "Identifier", name: "a" };
+    const b = { kind: "Identifier", name: "b" };
     const mockAST = {
       kind: "Program",
       statements: [{
         kind: "FunctionDeclaration",
         name: "add",
-        params: [
-          { kind: "Identifier", name: "a" },
-          { kind: "Identifier", name: "b" }
-        ],
+        params: [a, b],
         body: {
           kind: "Block",
           statements: [{
@@ -45,8 +58,8 @@ describe("The LionCode Generator", () => {
             expression: {
               kind: "BinaryExpression",
               op: "+",
-              left: { kind: "Identifier", name: "a" },
-              right: { kind: "Identifier", name: "b" }
+              left: a,
+              right: b
             }
           }]
         }
@@ -65,7 +78,7 @@ describe("The LionCode Generator", () => {
         kind: "IfStatement",
         condition: {
           kind: "ComparisonExpression",
-          op: "is less than",
+          operator: "is less than",
           left: { kind: "Identifier", name: "x" },
           right: { kind: "NumberLiteral", value: 5 }
         },
@@ -74,6 +87,7 @@ describe("The LionCode Generator", () => {
           statements: [{
             kind: "AssignmentStatement",
             target: { kind: "Identifier", name: "y" },
+            declaration: true,
             expression: { kind: "NumberLiteral", value: 10 }
           }]
         }
@@ -91,7 +105,7 @@ describe("The LionCode Generator", () => {
         kind: "IfStatement",
         condition: {
           kind: "ComparisonExpression",
-          op: "is less than",
+          operator: "is less than",
           left: { kind: "Identifier", name: "x" },
           right: { kind: "NumberLiteral", value: 5 }
         },
@@ -100,6 +114,7 @@ describe("The LionCode Generator", () => {
           statements: [{
             kind: "AssignmentStatement", 
             target: { kind: "Identifier", name: "y" },
+            declaration: true,
             expression: { kind: "NumberLiteral", value: 10 }
           }]
         },
@@ -108,6 +123,7 @@ describe("The LionCode Generator", () => {
           statements: [{
             kind: "AssignmentStatement",
             target: { kind: "Identifier", name: "y" },
+            declaration: true,
             expression: { kind: "NumberLiteral", value: 20 }
           }]
         }
@@ -120,17 +136,18 @@ describe("The LionCode Generator", () => {
   });
 
   it("generates code for loops", () => {
+    const i = { kind: "Identifier", name: "i" };
     const mockAST = {
       kind: "Program",
       statements: [{
         kind: "WhileStatement",
-        variable: { kind: "Identifier", name: "i" },
-        range: { kind: "NumberLiteral", value: 5 },
+        variable: i,
+        rangeValue: { kind: "NumberLiteral", value: 5 },
         body: {
           kind: "Block",
           statements: [{
             kind: "PrintStatement",
-            value: { kind: "Identifier", name: "i" }
+            values: [i]
           }]
         }
       }]
@@ -166,6 +183,7 @@ describe("The LionCode Generator", () => {
       statements: [{
         kind: "AssignmentStatement",
         target: { kind: "Identifier", name: "z" },
+        declaration: true,
         expression: {
           kind: "BinaryExpression",
           op: "*",
@@ -205,15 +223,34 @@ describe("The LionCode Generator", () => {
       statements: [{
         kind: "AssignmentStatement",
         target: { kind: "Identifier", name: "message" },
-        expression: { 
-          kind: "StringLiteral", 
-          value: "Hello, ${name}!",
-          hasInterpolation: true
+        declaration: true,
+        expression: {
+          kind: "InterpolatedString",
+          parts: ["Hello, ", { kind: "Identifier", name: "name" }, "!"]
         }
       }]
     };
     const result = generate(mockAST);
-    assert.match(result, /let message = "Hello, \${name}!";/);
+    assert.match(result, /let message = `Hello, \${name}!`;/);
+  });
+
+  it("escapes backslashes and control characters in strings", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [{ kind: "PrintStatement", values: [{ kind: "StringLiteral", value: "a\\b\nc\td" }] }]
+    };
+    assert.strictEqual(generate(mockAST), 'console.log("a\\\\b\\nc\\td");');
+  });
+
+  it("escapes text that would end or interpolate into template literals", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [{
+        kind: "PrintStatement",
+        values: [{ kind: "InterpolatedString", parts: ["`\\${", { kind: "NumberLiteral", value: 1 }] }]
+      }]
+    };
+    assert.strictEqual(generate(mockAST), "console.log(`\\`\\\\\\${${1}`);");
   });
 
   it("generates code for string literals with escaped quotes", () => {
@@ -222,6 +259,7 @@ describe("The LionCode Generator", () => {
       statements: [{
         kind: "AssignmentStatement",
         target: { kind: "Identifier", name: "message" },
+        declaration: true,
         expression: { 
           kind: "StringLiteral", 
           value: 'She said "Hello!"' // String with quotes that need escaping
@@ -239,11 +277,13 @@ describe("The LionCode Generator", () => {
         {
           kind: "AssignmentStatement",
           target: { kind: "Identifier", name: "trueFlag" },
+          declaration: true,
           expression: { kind: "BooleanLiteral", value: true }
         },
         {
           kind: "AssignmentStatement",
           target: { kind: "Identifier", name: "falseFlag" },
+          declaration: true,
           expression: { kind: "BooleanLiteral", value: false }
         }
       ]
@@ -259,7 +299,7 @@ describe("The LionCode Generator", () => {
       statements: [{
         kind: "WhileStatement",
         variable: { kind: "Identifier", name: "i" },
-        range: { 
+        rangeValue: { 
           kind: "RangeExpression", 
           value: { kind: "NumberLiteral", value: 10 }
         },
@@ -286,6 +326,14 @@ describe("The LionCode Generator", () => {
     assert.match(result, /\/\/ This is a comment/);
   });
 
+  it("generates comments that span lines", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [{ kind: "Comment", value: " a comment\nthat spans two lines " }]
+    };
+    assert.strictEqual(generate(mockAST), "//  a comment\n// that spans two lines ");
+  });
+
   it("handles unknown statement kinds", () => {
     const mockAST = {
       kind: "Program",
@@ -326,7 +374,7 @@ describe("The LionCode Generator", () => {
           kind: "IfStatement",
           condition: {
             kind: "ComparisonExpression",
-            op: lionOp,
+            operator: lionOp,
             left: { kind: "Identifier", name: "x" },
             right: { kind: "NumberLiteral", value: 10 }
           },
@@ -357,7 +405,7 @@ describe("The LionCode Generator", () => {
         kind: "IfStatement",
         condition: {
           kind: "ComparisonExpression",
-          op: "custom operator", // This is an operator not explicitly handled
+          operator: "custom operator", // This is an operator not explicitly handled
           left: { kind: "Identifier", name: "x" },
           right: { kind: "NumberLiteral", value: 10 }
         },
@@ -373,4 +421,471 @@ describe("The LionCode Generator", () => {
     assert.match(result, /if \(\(x custom operator 10\)\) \{/);
   });
   
-});
\ No newline at end of file
+  it("keeps statements in order and indents nested blocks", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [{
+        kind: "FunctionDeclaration",
+        name: "f",
+        params: [],
+        body: {
+          kind: "Block",
+          statements: [
+            { kind: "Comment", value: "first" },
+            {
+              kind: "IfStatement",
+              condition: { kind: "BooleanLiteral", value: true },
+              consequent: {
+                kind: "Block",
+                statements: [{ kind: "BreakStatement" }]
+              }
+            },
+            { kind: "Comment", value: "last" }
+          ]
+        }
+      }]
+    };
+    const result = generate(mockAST);
+    assert.strictEqual(
+      result,
+      "function f() {\n  // first\n  if (true) {\n    break;\n  }\n  // last\n}"
+    );
+  });
+
+  it("declares a variable only where the analyzer marked a declaration", () => {
+    const x = { kind: "Identifier", name: "x" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "AssignmentStatement",
+          target: x,
+          expression: { kind: "NumberLiteral", value: 1 },
+          declaration: true
+        },
+        {
+          kind: "AssignmentStatement",
+          target: x,
+          expression: { kind: "BinaryExpression", op: "+", left: x, right: { kind: "NumberLiteral", value: 1 } }
+        }
+      ]
+    };
+    const result = generate(mockAST);
+    assert.strictEqual(result, "let x = 1;\nx = (x + 1);");
+  });
+
+  it("gives variables that would hide ones they read names of their own", () => {
+    const outer = { kind: "Identifier", name: "x" };
+    const inner = { kind: "Identifier", name: "x" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        { kind: "AssignmentStatement", target: outer, expression: { kind: "NumberLiteral", value: 1 }, declaration: true },
+        {
+          kind: "IfStatement",
+          condition: { kind: "BooleanLiteral", value: true },
+          consequent: {
+            kind: "Block",
+            statements: [
+              { kind: "ConstantDeclaration", variable: inner, initializer: { kind: "BinaryExpression", op: "+", left: outer, right: { kind: "NumberLiteral", value: 1 } } },
+              { kind: "PrintStatement", values: [inner] }
+            ]
+          }
+        },
+        { kind: "PrintStatement", values: [outer] }
+      ]
+    };
+    assert.strictEqual(
+      generate(mockAST),
+      "let x = 1;\nif (true) {\n  const x_2 = (x + 1);\n  console.log(x_2);\n}\nconsole.log(x);"
+    );
+  });
+
+  it("renames variables named like reserved words or the globals it uses", () => {
+    const names = ["new", "console", "Math"].map(name => ({ kind: "Identifier", name }));
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        ...names.map(target => ({ kind: "AssignmentStatement", target, expression: { kind: "NumberLiteral", value: 1 }, declaration: true })),
+        { kind: "PrintStatement", values: [names[0]] }
+      ]
+    };
+    assert.strictEqual(
+      generate(mockAST),
+      "let new_2 = 1;\nlet console_2 = 1;\nlet Math_2 = 1;\nconsole.log(new_2);"
+    );
+  });
+
+  it("terminates function calls used as statements", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [{ kind: "FunctionCall", name: "f", args: [] }]
+    };
+    assert.strictEqual(generate(mockAST), "f();");
+  });
+
+  it("translates standard library calls", () => {
+    const call = (name, args) => ({
+      kind: "FunctionCall",
+      name,
+      args,
+      callee: { name, intrinsic: true }
+    });
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "PrintStatement",
+          values: [call("sqrt", [{ kind: "NumberLiteral", value: 16 }])]
+        },
+        {
+          kind: "PrintStatement",
+          values: [call("at", [
+            { kind: "Identifier", name: "xs" },
+            { kind: "NumberLiteral", value: 0 }
+          ])]
+        }
+      ]
+    };
+    const result = generate(mockAST);
+    assert.strictEqual(result, "console.log(Math.sqrt(16));\nconsole.log(xs[0]);");
+  });
+
+  it("generates code for lists, indexing and length", () => {
+    const xs = { kind: "Identifier", name: "xs" };
+    const one = { kind: "NumberLiteral", value: 1 };
+    const element = { kind: "IndexExpression", collection: xs, index: one };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "AssignmentStatement",
+          target: xs,
+          declaration: true,
+          expression: { kind: "ListExpression", elements: [one, { kind: "ListExpression", elements: [] }] }
+        },
+        {
+          kind: "AssignmentStatement",
+          target: element,
+          expression: { kind: "LengthExpression", collection: xs }
+        },
+        { kind: "PrintStatement", values: [element] }
+      ]
+    };
+    assert.strictEqual(
+      generate(mockAST),
+      "let xs = [1, []];\nxs[1] = xs.length;\nconsole.log(xs[1]);"
+    );
+  });
+
+  it("generates classes", () => {
+    const self = { kind: "SelfExpression" };
+    const name = { kind: "Identifier", name: "name" };
+    const lion = {
+      kind: "ClassDeclaration",
+      name: "Lion",
+      members: [
+        { kind: "FieldDeclaration", name: "age", initializer: { kind: "NumberLiteral", value: 0 } },
+        {
+          kind: "FunctionDeclaration",
+          name: "init",
+          params: [name],
+          body: {
+            kind: "Block",
+            statements: [
+              {
+                kind: "AssignmentStatement",
+                target: { kind: "MemberExpression", object: self, name: "name" },
+                expression: name
+              }
+            ]
+          }
+        },
+        {
+          kind: "FunctionDeclaration",
+          name: "greet",
+          params: [],
+          body: {
+            kind: "Block",
+            statements: [{ kind: "ReturnStatement", expression: { kind: "MemberExpression", object: self, name: "name" } }]
+          }
+        }
+      ]
+    };
+    const cub = { kind: "Identifier", name: "cub" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        lion,
+        {
+          kind: "AssignmentStatement",
+          target: cub,
+          declaration: true,
+          expression: { kind: "ConstructorCall", callee: lion, args: [{ kind: "StringLiteral", value: "Simba" }] }
+        },
+        { kind: "MethodCall", object: cub, name: "greet", args: [] }
+      ]
+    };
+    assert.strictEqual(
+      generate(mockAST),
+      [
+        "class Lion {",
+        "  age = 0;",
+        "  constructor(name) {",
+        "    this.name = name;",
+        "  }",
+        "  greet() {",
+        "    return this.name;",
+        "  }",
+        "}",
+        'let cub = new Lion("Simba");',
+        "cub.greet();"
+      ].join("\n")
+    );
+  });
+
+  it("renames classes named like reserved words or variables they would hide", () => {
+    const cls = name => ({ kind: "ClassDeclaration", name, members: [] });
+    const construct = callee => ({ kind: "ConstructorCall", callee, args: [] });
+    const math = cls("Math");
+    const point = { kind: "Identifier", name: "Point" };
+    const innerPoint = cls("Point");
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        math,
+        { kind: "PrintStatement", values: [construct(math)] },
+        { kind: "AssignmentStatement", target: point, expression: { kind: "NumberLiteral", value: 5 }, declaration: true },
+        {
+          kind: "FunctionDeclaration",
+          name: "f",
+          params: [],
+          body: {
+            kind: "Block",
+            statements: [innerPoint, { kind: "PrintStatement", values: [construct(innerPoint)] }, { kind: "PrintStatement", values: [point] }]
+          }
+        }
+      ]
+    };
+    assert.strictEqual(
+      generate(mockAST),
+      [
+        "class Math_2 {",
+        "}",
+        "console.log(new Math_2());",
+        "let Point = 5;",
+        "function f() {",
+        "  class Point_2 {",
+        "  }",
+        "  console.log(new Point_2());",
+        "  console.log(Point);",
+        "}"
+      ].join("\n")
+    );
+  });
+
+  it("names functions and classes used as values as they were declared", () => {
+    const f = {
+      kind: "FunctionDeclaration",
+      name: "f",
+      params: [],
+      body: { kind: "Block", statements: [{ kind: "ReturnStatement", expression: { kind: "NumberLiteral", value: 1 } }] }
+    };
+    const x = { kind: "Identifier", name: "x" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        f,
+        { kind: "AssignmentStatement", target: x, expression: core.declarationReference(f), declaration: true }
+      ]
+    };
+    const code = generate(mockAST);
+    assert.strictEqual(code, "function f() {\n  return 1;\n}\nlet x = f;");
+    assert.strictEqual(new Function(`${code}\nreturn x();`)(), 1);
+  });
+
+  it("generates nothing, defaults and safe chaining", () => {
+    const a = { kind: "Identifier", name: "a" };
+    const member = { kind: "MemberExpression", object: a, name: "next", optional: true };
+    const call = { kind: "MethodCall", object: member, name: "f", args: [], optional: true };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        { kind: "AssignmentStatement", target: a, expression: { kind: "NothingLiteral" }, declaration: true },
+        {
+          kind: "PrintStatement",
+          values: [{
+            kind: "DefaultExpression",
+            optional: call,
+            fallback: { kind: "NarrowedExpression", expression: a }
+          }]
+        }
+      ]
+    };
+    assert.strictEqual(
+      generate(mockAST),
+      "let a = undefined;\nconsole.log((a?.next?.f() ?? a));"
+    );
+  });
+
+  it("generates and, or and not", () => {
+    const a = { kind: "Identifier", name: "a" };
+    const b = { kind: "Identifier", name: "b" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "PrintStatement",
+          values: [{
+            kind: "BinaryExpression",
+            op: "or",
+            left: { kind: "UnaryExpression", operator: "!", operand: a },
+            right: { kind: "BinaryExpression", op: "and", left: a, right: b }
+          }]
+        }
+      ]
+    };
+    assert.strictEqual(generate(mockAST), "console.log(((!a) || (a && b)));");
+  });
+
+  it("generates nested negation without merging the minus signs", () => {
+    const x = { kind: "Identifier", name: "x" };
+    const negation = { kind: "UnaryExpression", operator: "-", operand: x };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        { kind: "PrintStatement", values: [{ kind: "UnaryExpression", operator: "-", operand: negation }] },
+        { kind: "PrintStatement", values: [{ kind: "NumberLiteral", value: -5 }] }
+      ]
+    };
+    assert.strictEqual(generate(mockAST), "console.log((-(-x)));\nconsole.log(-5);");
+  });
+
+  it("generates numbers as they were written", () => {
+    const print = (value, lexeme) => ({ kind: "PrintStatement", values: [{ kind: "NumberLiteral", value, lexeme }] });
+    const mockAST = {
+      kind: "Program",
+      statements: [print(255, "0xFF"), print(1000000, "1_000_000"), print(0.0025, "2.5e-3"), print(7, "007")]
+    };
+    assert.strictEqual(
+      generate(mockAST),
+      "console.log(0xFF);\nconsole.log(1_000_000);\nconsole.log(2.5e-3);\nconsole.log(7);"
+    );
+  });
+
+  it("generates else branches as a flat chain", () => {
+    const branch = (name, alternate) => ({
+      kind: "IfStatement",
+      condition: { kind: "Identifier", name },
+      consequent: { kind: "Block", statements: [{ kind: "PrintStatement", values: [{ kind: "StringLiteral", value: name }] }] },
+      alternate
+    });
+    const otherwise = { kind: "Block", statements: [{ kind: "BreakStatement" }] };
+    const mockAST = { kind: "Program", statements: [branch("a", branch("b", branch("c", otherwise)))] };
+    const expected = [
+      "if (a) {",
+      '  console.log("a");',
+      "} else if (b) {",
+      '  console.log("b");',
+      "} else if (c) {",
+      '  console.log("c");',
+      "} else {",
+      "  break;",
+      "}"
+    ].join("\n");
+    assert.strictEqual(generate(mockAST), expected);
+  });
+
+  it("generates while loops", () => {
+    const done = { kind: "Identifier", name: "done" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "WhileLoop",
+          condition: { kind: "UnaryExpression", operator: "!", operand: done },
+          body: { kind: "Block", statements: [{ kind: "BreakStatement" }] }
+        }
+      ]
+    };
+    assert.strictEqual(generate(mockAST), "while ((!done)) {\n  break;\n}");
+  });
+
+  it("generates loops that count in either direction", () => {
+    const i = { kind: "Identifier", name: "i" };
+    const loop = (start, stop, step) => ({
+      kind: "WhileStatement",
+      variable: i,
+      rangeValue: { kind: "RangeExpression", value: stop, start, step },
+      body: { kind: "Block", statements: [] }
+    });
+    const number = value => ({ kind: "NumberLiteral", value });
+    const n = { kind: "Identifier", name: "n" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        loop(number(1), n, null),
+        loop(n, number(0), number(-1)),
+        loop(n, number(0), number(-2)),
+        loop(number(0), n, number(3)),
+        loop(number(0), number(10), n)
+      ]
+    };
+    const expected = [
+      "for (let i = 1, end = n; i < end; i++) {",
+      "}",
+      "for (let i = n; i > 0; i--) {",
+      "}",
+      "for (let i = n; i > 0; i -= 2) {",
+      "}",
+      "for (let i = 0, end = n; i < end; i += 3) {",
+      "}",
+      "for (let i = 0, by = n; (by > 0 ? i < 10 : i > 10); i += by) {",
+      "}"
+    ].join("\n");
+    assert.strictEqual(generate(mockAST), expected);
+  });
+
+  it("generates loops over collections", () => {
+    const c = { kind: "Identifier", name: "c" };
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "ForEachStatement",
+          variable: c,
+          collection: { kind: "StringLiteral", value: "lion" },
+          body: { kind: "Block", statements: [{ kind: "PrintStatement", values: [c] }] }
+        }
+      ]
+    };
+    assert.strictEqual(generate(mockAST), 'for (const c of "lion") {\n  console.log(c);\n}');
+  });
+
+  it("generates skip as continue", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "WhileLoop",
+          condition: { kind: "BooleanLiteral", value: true },
+          body: { kind: "Block", statements: [{ kind: "SkipStatement" }] }
+        }
+      ]
+    };
+    assert.strictEqual(generate(mockAST), "while (true) {\n  continue;\n}");
+  });
+
+  it("generates one console.log for several values", () => {
+    const mockAST = {
+      kind: "Program",
+      statements: [
+        {
+          kind: "PrintStatement",
+          values: [{ kind: "Identifier", name: "x" }, { kind: "StringLiteral", value: "lions" }]
+        }
+      ]
+    };
+    assert.strictEqual(generate(mockAST), 'console.log(x, "lions");');
+  });
+});
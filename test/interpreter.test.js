@@ -0,0 +1,234 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import interpret from '../src/interpreter.js';
+import run from '../src/runner.js';
+import compile from '../src/compiler.js';
+import * as core from '../src/core.js';
+
+// Interprets a program, collecting what it writes instead of printing it
+function output(source) {
+  let written = '';
+  interpret(compile(source, 'analyzed'), { write: (text) => (written += text) });
+  return written;
+}
+
+function generatedOutput(source) {
+  let written = '';
+  run(source, { write: (text) => (written += text) });
+  return written;
+}
+
+const programs = [
+  ['prints expressions and several values', 'x = 4\nroar x + 1\nroar x, -is-, x is less than 5\nroar [1], -100%-, -%d-, 2', '5\n4 is true\n[ 1 ] 100% %d 2\n'],
+  ['prints strings and numbers', 'roar -Hello-\nx = 42\nroar x', 'Hello\n42\n'],
+  ['evaluates arithmetic', 'x = (10 + 5) * (3 - 1) / 4 % 2\nroar x', '1.5\n'],
+  ['concatenates strings', 'x = -n=- + 5\nroar x', 'n=5\n'],
+  ['reassigns variables', 'x = 1\nx = x + 1\nroar x', '2\n'],
+  ['counts through ranges', 'Prowl i in range(3) | roar i |', '0\n1\n2\n'],
+  [
+    'loops while conditions hold',
+    'n = 10\nsteps = 0\nProwl while (n != 1) | if (n % 2 == 0) | n = n / 2 | otherwise | n = 3 * n + 1 |\nsteps = steps + 1 |\nroar steps',
+    '6\n',
+  ],
+  [
+    'breaks and returns out of while loops',
+    'i = 0\nProwl while (true) | i = i + 1\nif (i == 3) | break | |\nroar i\nignite f() | Prowl while (true) | serve 7 | |\nx = f()\nroar x',
+    '3\n7\n',
+  ],
+  [
+    'counts from starts and by steps',
+    'Prowl i in range(1, 3) | roar i |\nProwl i in range(10, 0, -4) | roar i |\nstep = 3\nProwl i in range(0, 7, step) | roar i |\nstep = -1\nProwl i in range(2, 0, step) | roar i |\nProwl i in range(5, 1) | roar -never- |',
+    '1\n2\n10\n6\n2\n0\n3\n6\n2\n1\n',
+  ],
+  [
+    'evaluates ranges once, before the first pass',
+    'n = 3\nProwl i in range(n) | n = n + 1\nroar i\nif (i is greater than 5) | break | |\nstep = 1\nProwl i in range(0, 4, step) | step = step + 1\nroar i |',
+    '0\n1\n2\n0\n1\n2\n3\n',
+  ],
+  [
+    'loops over lists and strings',
+    'total = 0\nProwl x in [3, 9, 4] | total = total + x |\nroar total\nProwl c in -ab- | roar c |\nProwl row in [[1, 2], [3]] | Prowl v in row | if (v == 2) | break |\nroar v | |',
+    '16\na\nb\n1\n3\n',
+  ],
+  [
+    'skips to the next pass of every kind of loop',
+    'Prowl i in range(4) | if (i % 2 == 0) | skip |\nroar i |\nProwl x in [5, 6] | if (x == 5) | skip |\nroar x |\nn = 0\nProwl while (n is less than 3) | n = n + 1\nif (n == 2) | skip |\nroar n |',
+    '1\n3\n6\n1\n3\n',
+  ],
+  ['breaks out of loops', 'Prowl i in range(10) | if (i == 2) | break |\nroar i |', '0\n1\n'],
+  [
+    'breaks only the innermost loop',
+    'Prowl i in range(2) | Prowl j in range(5) | if (j == 1) | break |\nroar j |\nroar i |',
+    '0\n0\n0\n1\n',
+  ],
+  [
+    'chooses if branches',
+    'x = 7\nif (x is less than 5) | roar -small- | else (x is greater than 5) | roar -big- |',
+    'big\n',
+  ],
+  [
+    'follows long if chains',
+    'ignite grade(n) | if (n is greater than 89) | serve -A- | else (n is greater than 79) | serve -B- | else (n is greater than 69) | serve -C- | otherwise | serve -F- | |\nProwl i in range(4) | g = grade(95 - i * 10)\nroar g |',
+    'A\nB\nC\nF\n',
+  ],
+  ['takes otherwise branches', 'if (1 == 2) | roar -yes- | otherwise | roar -no- |', 'no\n'],
+  ['calls functions', 'ignite add(a, b) | serve a + b |\nx = add(2, 3)\nroar x', '5\n'],
+  [
+    'recurses',
+    'ignite fact(n) | if (n == 0) | serve 1 | otherwise | serve n * fact(n - 1) | |\nx = fact(5)\nroar x',
+    '120\n',
+  ],
+  [
+    'returns from inside loops',
+    'ignite firstOver(n) | Prowl i in range(100) | if (i * i is greater than n) | serve i | | serve 0 |\nx = firstOver(50)\nroar x',
+    '8\n',
+  ],
+  [
+    'keeps each call\'s locals separate',
+    'ignite f(n) | local = n\nif (n is greater than 0) | f(n - 1) |\nroar local |\nf(2)',
+    '0\n1\n2\n',
+  ],
+  [
+    'lets functions update outer variables',
+    'count = 0\nignite bump() | count = count + 1 |\nbump()\nbump()\nroar count',
+    '2\n',
+  ],
+  [
+    'sees variables of enclosing functions',
+    'ignite outer(n) | ignite inner() | serve n * 2 |\nserve inner() |\nx = outer(21)\nroar x',
+    '42\n',
+  ],
+  ['calls annotated functions', 'ignite greet(name: text, times: number) -> text | serve name + -!- + times |\nx = greet(-Kaia-, 2)\nroar x', 'Kaia!2\n'],
+  [
+    'keeps constants',
+    'vow limit = 2\nProwl i in range(limit) | vow sq = i * i\nroar sq |\nignite f() | vow limit = 5\nserve limit |\nx = f()\nroar x, limit',
+    '0\n1\n5 2\n',
+  ],
+  [
+    'keeps variables apart that share names',
+    'x = 1\nignite f() | vow x = x + 1\nserve x |\ny = f()\nroar x, y\nxs = [3, 4]\nProwl xs in xs | roar xs |\nif (true) | n = 1\nroar n | otherwise | n = -n- |',
+    '1 2\n3\n4\n1\n',
+  ],
+  ['keeps variables of blocks the optimizer unwraps', 'if (true) | y = 1\nroar y |\ny = -two-\nroar y', '1\ntwo\n'],
+  ['uses names JavaScript reserves', 'new = 2\nconsole = 3\nMath = 16\nroar new + console, sqrt(Math)', '5 4\n'],
+  [
+    'constructs classes whose names are taken',
+    'pride Math | ignite hi() | roar -hi- | |\nm = Math()\nm.hi()\nroar sqrt(4)\nPoint = 5\nignite f() | pride Point | v = 1 |\np = Point()\nroar p.v |\nf()\nroar Point',
+    'hi\n2\n1\n5\n',
+  ],
+  ['skips comments that span lines', '~ a comment\nthat spans two lines ~\nroar -after-', 'after\n'],
+  [
+    'uses functions and classes as values',
+    'ignite f() | serve 1 |\npride P | |\nx = f\nignite g(h) | serve h == f |\nroar g(f), x == f\ny = P\nroar [y], [x]',
+    'true true\n[ [class P] ] [ [Function: f] ]\n',
+  ],
+  ['calls builtins', 'x = sqrt(16)\nroar x', '4\n'],
+  [
+    'builds, indexes and updates lists',
+    'xs = [3, 1, 2]\nxs[1] = xs[0] * length(xs)\nroar xs\ngrid = [[1], [2, 3]]\ny = grid[1][0]\nroar y',
+    '[ 3, 9, 2 ]\n2\n',
+  ],
+  [
+    'constructs objects and calls their methods',
+    'pride Counter |\n count = 0\n step = 1\n ignite init(step) | self.step = step |\n ignite bump() | self.count = self.count + self.step\nserve self |\n|\nc = Counter(5)\nc.bump().bump()\nn = c.count\nroar n\nroar c',
+    "10\nCounter { count: 10, step: 5 }\n",
+  ],
+  [
+    'calls methods on objects of unknown type',
+    'pride Cub | ignite name() | serve -cub- | |\nignite call(o) | serve o.name() |\nx = call(Cub())\nroar x',
+    'cub\n',
+  ],
+  [
+    'falls back on defaults and chains safely',
+    'pride Node | next = nothing\nv = 1 |\na = Node()\nb = Node()\nb.v = 2\nx = a.next?.v ?? 0\nroar x\na.next = b\nx = a.next?.v ?? 0\nroar x\ny = a.next?.next?.next?.v\nroar y',
+    '0\n2\nundefined\n',
+  ],
+  [
+    'narrows optionals tested against nothing',
+    'x = nothing\nif (x == nothing) | roar -none- |\nx = 4\nif (x != nothing) | y = x * 2\nroar y |',
+    'none\n8\n',
+  ],
+  [
+    'combines conditions',
+    'x = 7\nif (x is greater than 0 and x is less than 10) | roar -in- |\nif (not x == 7 or x == 3) | roar -no- | otherwise | roar -yes- |',
+    'in\nyes\n',
+  ],
+  [
+    'short-circuits and and or',
+    'ignite loud(b) | roar b\nserve b |\nx = false and loud(true)\ny = true or loud(false)\nz = loud(true) and loud(false)\nroar z',
+    'true\nfalse\nfalse\n',
+  ],
+  ['negates numbers', 'x = -5\ny = -x - 2\nz = - -x * -(y + 1)\nroar z\nroar -done-', '20\ndone\n'],
+  ['reads every kind of number', 'x = 0xFF + 1_000 + 2.5e1 - 0.5\nroar x', '1279.5\n'],
+  [
+    'interpolates values into strings',
+    'x = 4\nxs = [1, 2]\nroar -${x} squared is ${x * x}, ${xs} and ${nothing}-\nroar -$${x}${true}-',
+    '4 squared is 16, 1,2 and undefined\n$4true\n',
+  ],
+  [
+    'prints escapes and multi-line strings',
+    'x = 5\nroar -well\\-being\\t\\\\ \\u{263A}-\nroar ---\n`${x}` - ${x + 1}\\\\\n---',
+    'well-being\t\\ \u263A\n\n`5` - 6\\\n\n',
+  ],
+  ['indexes strings', 'c = -lion-[1]\nroar c\nn = length(-lion-)\nroar n', 'i\n4\n'],
+  ['ignites functions that return nothing', 'ignite f() | roar -side effect- |\nf()', 'side effect\n'],
+];
+
+describe('The interpreter', () => {
+  for (const [scenario, source, expected] of programs) {
+    it(`${scenario}`, () => {
+      assert.strictEqual(output(source), expected);
+    });
+  }
+
+  for (const [scenario, source] of programs) {
+    it(`agrees with the generated js when it ${scenario}`, () => {
+      assert.strictEqual(output(source), generatedOutput(source));
+    });
+  }
+
+  for (const example of fs.readdirSync('examples')) {
+    it(`agrees with the generated js on examples/${example}`, () => {
+      const source = fs.readFileSync(`examples/${example}`, 'utf-8');
+      assert.strictEqual(output(source), generatedOutput(source));
+    });
+  }
+
+  it('runs hand-built trees from core', () => {
+    const x = core.identifier('x', 'number');
+    const program = core.program([
+      core.assignmentStatement(x, core.numberLiteral(3)),
+      core.printStatement(core.binaryExpression('*', x, x)),
+    ]);
+    let written = '';
+    interpret(program, { write: (text) => (written += text) });
+    assert.strictEqual(written, '9\n');
+  });
+
+  it('reports runaway recursion', () => {
+    assert.throws(
+      () => output('ignite f(n) | serve f(n) |\nf(1)'),
+      /Runtime error: Too much recursion/
+    );
+  });
+
+  it('reports missing methods', () => {
+    assert.throws(
+      () => output('pride A | |\nignite f(o) | o.go() |\nf(at([A()], 0))'),
+      /Runtime error: go is not a function/
+    );
+  });
+
+  it('reports failed element access', () => {
+    assert.throws(
+      () => output('ignite first(xs) | serve at(xs, 0) |\nx = first(first(5))'),
+      /Runtime error: Cannot take element 0 of undefined/
+    );
+  });
+
+  it('rejects nodes it cannot evaluate', () => {
+    const program = core.program([core.printStatement({ kind: 'Mystery' })]);
+    assert.throws(() => interpret(program, { write: () => {} }), /Runtime error: Cannot evaluate Mystery/);
+  });
+});
@@ -113,7 +113,20 @@ describe("The optimizer", () => {
     const optimized = optimize(original);
 
     assert.strictEqual(optimized.statements[0].kind, "Block");
-    assert.strictEqual(optimized.statements[0].statements[0].argument.value, "False branch");
+    assert.strictEqual(optimized.statements[0].statements[0].values[0].value, "False branch");
+  });
+
+  it("folds constants into the text of interpolated strings", () => {
+    const x = core.identifier("x", "number");
+    const original = core.interpolatedString([
+      "a", core.binaryExpression("*", core.numberLiteral(2), core.numberLiteral(3)), "b", x, core.booleanLiteral(true),
+    ]);
+    assert.deepStrictEqual(optimize(original), core.interpolatedString(["a6b", x, "true"]));
+  });
+
+  it("turns interpolated strings of constants into string literals", () => {
+    const original = core.interpolatedString([core.numberLiteral(1), "+", core.nothingLiteral()]);
+    assert.deepStrictEqual(optimize(original), core.stringLiteral("1+undefined"));
   });
 
   it("optimizes function bodies", () => {
@@ -143,7 +156,7 @@ describe("The optimizer", () => {
     ]);
     const optimized = optimize(original);
     assert.strictEqual(optimized.statements[0].kind, "PrintStatement");
-    assert.strictEqual(optimized.statements[0].argument?.value || optimized.statements[0].value?.value, 7);
+    assert.strictEqual(optimized.statements[0].values[0].value, 7);
   });
 
   it("optimizes expressions in return statements", () => {
@@ -195,6 +208,15 @@ describe("The optimizer", () => {
     assert.strictEqual(optimized.statements[0].body.statements[0].kind, "BreakStatement");
   });
 
+  it("removes statements after a skip, break or serve", () => {
+    const print = core.printStatement(core.stringLiteral("never"));
+    for (const exit of [core.skipStatement(), core.breakStatement(), core.returnStatement(core.numberLiteral(1))]) {
+      const body = core.block([exit, print, core.comment("gone")]);
+      const original = core.whileLoop(core.identifier("x", "boolean"), body);
+      assert.deepStrictEqual(optimize(original).body.statements, [exit]);
+    }
+  });
+
   it("simplifies comparisons with identical operands", () => {
     const id = core.identifier("x", "number");
     const original = core.comparisonExpression("==", id, id);
@@ -230,47 +252,26 @@ describe("The optimizer", () => {
     assert.strictEqual(optimized.value, true);
   });
 
-  it("applies strength reduction for multiplication by power of 2", () => {
-    const original = core.program([
-      core.assignmentStatement(
-        core.identifier("x"),
-        core.binaryExpression(
-          "*",
-          core.identifier("y"),
-          core.numberLiteral(8) 
-        )
-      )
-    ]);
-    const optimized = optimize(original);
-    assert.strictEqual(optimized.statements[0].expression.operator, "<<");
-    assert.strictEqual(optimized.statements[0].expression.right.value, 3); 
-  });
-
-  it("applies strength reduction for division by power of 2", () => {
+  it("keeps multiplication and division by powers of 2, since shifts drop fractions", () => {
+    const y = core.identifier("y", "number");
     const original = core.program([
-      core.assignmentStatement(
-        core.identifier("x"),
-        core.binaryExpression(
-          "/",
-          core.identifier("y"),
-          core.numberLiteral(4) 
-        )
-      )
+      core.assignmentStatement(core.identifier("x"), core.binaryExpression("*", y, core.numberLiteral(8))),
+      core.assignmentStatement(core.identifier("z"), core.binaryExpression("/", y, core.numberLiteral(4)))
     ]);
     const optimized = optimize(original);
-    assert.strictEqual(optimized.statements[0].expression.operator, ">>");
-    assert.strictEqual(optimized.statements[0].expression.right.value, 2); 
+    assert.strictEqual(optimized.statements[0].expression.op, "*");
+    assert.strictEqual(optimized.statements[1].expression.op, "/");
   });
 
-  it("combines like terms in addition", () => {
+  it("keeps constants apart from sums that may be text", () => {
     const original = core.binaryExpression(
       "+",
       core.binaryExpression("+", core.identifier("x"), core.numberLiteral(5)),
       core.numberLiteral(3)
     );
     const optimized = optimize(original);
-    assert.strictEqual(optimized.operator || optimized.op, "+");
-    assert.strictEqual(optimized.right.value, 8);
+    assert.strictEqual(optimized.left.right.value, 5);
+    assert.strictEqual(optimized.right.value, 3);
   });
 
   it("optimizes boolean expressions with constants", () => {
@@ -297,11 +298,7 @@ describe("The optimizer", () => {
   });
 
   it("optimizes built-in function calls with constant arguments", () => {
-    const original = {
-      kind: "FunctionCall",
-      callee: "Math.sqrt",
-      args: [core.numberLiteral(16)]
-    };
+    const original = core.functionCall("sqrt", [core.numberLiteral(16)], core.standardLibrary.sqrt);
     const optimized = optimize(original);
     assert.strictEqual(optimized.kind, "NumberLiteral");
     assert.strictEqual(optimized.value, 4);
@@ -329,7 +326,37 @@ describe("The optimizer", () => {
     ]);
     const optimized = optimize(original);
     assert.strictEqual(optimized.statements[0].condition.operator, "==");
-    assert.strictEqual(optimized.statements[0].consequent.statements[0].value.value, "Equal");
+    assert.strictEqual(optimized.statements[0].consequent.statements[0].values[0].value, "Equal");
+  });
+
+  it("folds lengths of literal lists and strings", () => {
+    const list = core.listExpression([core.numberLiteral(1), core.binaryExpression("+", core.numberLiteral(1), core.numberLiteral(2))], "number");
+    assert.deepStrictEqual(optimize(core.lengthExpression(list)), core.numberLiteral(2));
+    assert.deepStrictEqual(optimize(core.lengthExpression(core.stringLiteral("lion"))), core.numberLiteral(4));
+  });
+
+  it("keeps lengths of lists whose elements call functions", () => {
+    const call = core.functionCall("f", [], null);
+    const length = core.lengthExpression(core.listExpression([call], "any"));
+    assert.strictEqual(optimize(length), length);
+  });
+
+  it("optimizes list elements and indexes", () => {
+    const sum = () => core.binaryExpression("+", core.numberLiteral(1), core.numberLiteral(1));
+    const index = core.indexExpression(core.listExpression([sum()], "number"), sum());
+    const optimized = optimize(index);
+    assert.deepStrictEqual(optimized.collection.elements, [core.numberLiteral(2)]);
+    assert.deepStrictEqual(optimized.index, core.numberLiteral(2));
+  });
+
+  it("folds defaults of constants", () => {
+    const five = core.numberLiteral(5);
+    assert.strictEqual(optimize(core.defaultExpression(core.nothingLiteral(), five)), five);
+    const three = core.numberLiteral(3);
+    assert.strictEqual(optimize(core.defaultExpression(three, five)), three);
+    const x = core.identifier("x", "number?");
+    const unknown = core.defaultExpression(x, five);
+    assert.strictEqual(optimize(unknown), unknown);
   });
 
   it("handles undefined or null nodes", () => {
@@ -345,7 +372,7 @@ describe("The optimizer", () => {
     );
     const optimized = optimize(original);
     assert.strictEqual(optimized.kind, "Block");
-    assert.strictEqual(optimized.statements[0].value.value, "True branch");
+    assert.strictEqual(optimized.statements[0].values[0].value, "True branch");
   });
 
   it("folds binary expressions with constants", () => {
@@ -364,6 +391,58 @@ describe("The optimizer", () => {
     assert.strictEqual(optimized.value, -5);
   });
 
+  it("removes loops over empty constant ranges", () => {
+    const i = core.identifier("i", "number");
+    const body = core.block([core.printStatement(i)]);
+    const loop = (start, stop, step) =>
+      core.whileStatement(i, core.rangeExpression(core.numberLiteral(stop), core.numberLiteral(start), core.numberLiteral(step)), body);
+    assert.deepStrictEqual(optimize(core.program([loop(5, 1, 1), loop(1, 5, -1), loop(3, 3, 1)])).statements, []);
+    assert.strictEqual(optimize(core.program([loop(5, 1, -1), loop(1, 5, 2)])).statements.length, 2);
+    const unknown = core.whileStatement(i, core.rangeExpression(core.numberLiteral(5), core.identifier("n", "number")), body);
+    assert.strictEqual(optimize(unknown), unknown);
+  });
+
+  it("removes loops over empty literal collections", () => {
+    const x = core.identifier("x", "number");
+    const body = core.block([core.printStatement(x)]);
+    const original = core.program([
+      core.forEachStatement(x, core.listExpression([], "any"), body),
+      core.forEachStatement(x, core.stringLiteral(""), body),
+      core.forEachStatement(x, core.listExpression([core.numberLiteral(1)], "number"), body)
+    ]);
+    const optimized = optimize(original);
+    assert.deepStrictEqual(optimized.statements.map(s => s.collection.kind), ["ListExpression"]);
+  });
+
+  it("removes while loops whose condition is always false", () => {
+    const body = core.block([core.printStatement(core.stringLiteral("never"))]);
+    const original = core.program([core.whileLoop(core.booleanLiteral(false), body)]);
+    assert.deepStrictEqual(optimize(original).statements, []);
+
+    const x = core.identifier("x", "boolean");
+    const loop = core.whileLoop(core.unaryExpression("!", core.unaryExpression("!", x)), body);
+    assert.strictEqual(optimize(loop).condition, x);
+  });
+
+  it("drops else branches that can never run", () => {
+    const print = text => core.block([core.printStatement(core.stringLiteral(text))]);
+    const x = core.identifier("x", "boolean");
+    const never = core.ifStatement(core.booleanLiteral(false), print("never"), null);
+    const original = core.ifStatement(x, print("x"), never);
+    const optimized = optimize(original);
+    assert.strictEqual(optimized.alternate, null);
+
+    const kept = core.ifStatement(x, print("x"), core.ifStatement(core.booleanLiteral(false), print("never"), print("else")));
+    assert.strictEqual(optimize(kept).alternate.statements[0].values[0].value, "else");
+  });
+
+  it("folds numbers however they were written", () => {
+    const original = core.binaryExpression("+", core.numberLiteral(255, "0xFF"), core.numberLiteral(1000, "1_000"));
+    const optimized = optimize(original);
+    assert.strictEqual(optimized.value, 1255);
+    assert.strictEqual(optimized.lexeme, "1255");
+  });
+
   it("optimizes function call arguments", () => {
     const original = core.functionCall("testFunc", [
       core.binaryExpression("+", core.numberLiteral(2), core.numberLiteral(3))
@@ -379,7 +458,17 @@ describe("Additional optimizer coverage tests", () => {
       core.binaryExpression("+", core.numberLiteral(3), core.numberLiteral(4))
     );
     const optimized = optimize(original);
-    assert.strictEqual(optimized.value.value, 7);
+    assert.strictEqual(optimized.values[0].value, 7);
+  });
+
+  it("optimizes every value of a print", () => {
+    const original = core.printStatement(
+      core.binaryExpression("+", core.numberLiteral(3), core.numberLiteral(4)),
+      core.identifier("x", "number"),
+      core.lengthExpression(core.stringLiteral("abc"))
+    );
+    const optimized = optimize(original);
+    assert.deepStrictEqual(optimized.values.map(v => v.value ?? v.name), [7, "x", 3]);
   });
 
   it("optimizes return statements", () => {
@@ -585,33 +674,12 @@ describe("Additional optimizer coverage tests", () => {
   });
 
 
-  it("inlines Math.sqrt with constant argument", () => {
-    const original = {
-      kind: "FunctionCall",
-      callee: "Math.sqrt",
-      args: [core.numberLiteral(16)]
-    };
-    const optimized = optimize(original);
-    assert.strictEqual(optimized.kind, "NumberLiteral");
-    assert.strictEqual(optimized.value, 4);
-  });
-
-
-  it("combines like terms in nested additions", () => {
-    const original = {
-      kind: "BinaryExpression",
-      operator: "+",
-      left: {
-        kind: "BinaryExpression",
-        operator: "+",
-        left: core.identifier("x"),
-        right: core.numberLiteral(5)
-      },
-      right: core.numberLiteral(3)
-    };
-    const optimized = optimize(original);
-    assert.strictEqual(optimized.left.kind, "Identifier");
-    assert.strictEqual(optimized.right.value, 8);
+  it("inlines sqrt with constant argument", () => {
+    const x = core.identifier("x", "number");
+    const original = core.functionCall("sqrt", [core.binaryExpression("*", core.numberLiteral(3), core.numberLiteral(3))], core.standardLibrary.sqrt);
+    assert.strictEqual(optimize(original).value, 3);
+    const kept = core.functionCall("sqrt", [x], core.standardLibrary.sqrt);
+    assert.strictEqual(optimize(kept), kept);
   });
 
   it("optimizes if statements with boolean literal conditions", () => {
@@ -623,7 +691,7 @@ describe("Additional optimizer coverage tests", () => {
     );
     const optimizedTrue = optimize(trueIf);
     assert.strictEqual(optimizedTrue.kind, "Block");
-    assert.strictEqual(optimizedTrue.statements[0].value.value, "yes");
+    assert.strictEqual(optimizedTrue.statements[0].values[0].value, "yes");
 
     const falseIf = core.ifStatement(
       core.booleanLiteral(false),
@@ -632,7 +700,7 @@ describe("Additional optimizer coverage tests", () => {
     );
     const optimizedFalse = optimize(falseIf);
     assert.strictEqual(optimizedFalse.kind, "Block");
-    assert.strictEqual(optimizedFalse.statements[0].value.value, "no");
+    assert.strictEqual(optimizedFalse.statements[0].values[0].value, "no");
   });
 
   it("removes if statements with empty blocks", () => {
@@ -654,8 +722,8 @@ describe("Additional optimizer coverage tests", () => {
     );
     const optimized = optimize(original);
     assert.strictEqual(optimized.condition.operator, "==");
-    assert.strictEqual(optimized.consequent.statements[0].value.value, "equal");
-    assert.strictEqual(optimized.alternate.statements[0].value.value, "not equal");
+    assert.strictEqual(optimized.consequent.statements[0].values[0].value, "equal");
+    assert.strictEqual(optimized.alternate.statements[0].values[0].value, "not equal");
   });
 
   it("removes while loops with zero iterations", () => {
@@ -696,4 +764,26 @@ describe("Additional optimizer coverage tests", () => {
     const breakStmt = core.breakStatement();
     assert.deepStrictEqual(optimize(breakStmt), breakStmt);
   });
+
+  it("replaces constants by their values", () => {
+    const limit = core.identifier("limit", "number");
+    limit.constant = true;
+    const program = optimize(core.program([
+      core.constantDeclaration(limit, core.binaryExpression("*", core.numberLiteral(2), core.numberLiteral(3))),
+      core.printStatement(core.binaryExpression("+", limit, core.numberLiteral(1))),
+    ]));
+    assert.deepStrictEqual(program.statements[0].initializer, core.numberLiteral(6));
+    assert.deepStrictEqual(program.statements[1].values[0], core.numberLiteral(7));
+  });
+
+  it("keeps constants whose values are only known at runtime", () => {
+    const [n, x] = [core.identifier("n", "number"), core.identifier("x", "number")];
+    const program = optimize(core.program([
+      core.constantDeclaration(n, core.functionCall("f", [], null)),
+      core.printStatement(n),
+      core.printStatement(x),
+    ]));
+    assert.strictEqual(program.statements[1].values[0], n);
+    assert.strictEqual(program.statements[2].values[0], x);
+  });
 });
\ No newline at end of file
@@ -5,6 +5,28 @@ import parse from "../src/parser.js";
 const syntaxChecks = [
   ["Valid print statement", "roar -Hello, LMU!-"],
   ["Valid assignment", "x = 42"],
+  ["Valid list literals", "xs = [1, [2, 3], []]"],
+  ["Valid indexing and length", "x = grid[i][j + 1] + length(xs)"],
+  ["Valid index assignment", "grid[0][1] = 5"],
+  ["Valid class declaration", "pride Lion |\n  name = -cub-\n  ignite init(n) | self.name = n |\n  ignite greet() | roar -hi- |\n|"],
+  ["Valid member access and method calls", "x = a.b.c(1, 2)[0].d\na.b.run()\nself.x = 1"],
+  ["Valid logical operators", "if (x == 1 and not y or z) | |\nb = not (a or b)\nnotes = android"],
+  ["Valid ranges", "Prowl i in range(n) | |\nProwl i in range(1, n) | |\nProwl i in range(n, 0, -1) | |"],
+  ["Valid loops over collections", "Prowl x in xs | |\nProwl c in -abc- | |\nProwl x in [1, 2] | |\nProwl x in a.b[0] | |"],
+  ["Valid prints", "roar x + 1\nroar a, -is-, (x is less than 5)\nroar f(), a.b[0]\nroar -x"],
+  ["Valid skips", "Prowl i in range(3) | if (i == 1) | skip |\nskipped = i |"],
+  ["Valid while loops", "Prowl while (x is less than 10 and not done) | x = x + 1\nbreak |\nProwl whilex in range(2) | |"],
+  ["Valid if chains", "if (a) | | else (b) | | else (c) | roar x | otherwise | |\nif (a) | | otherwise | |"],
+  ["Valid numbers", "x = 3.14 + 1e6 + 2.5E-3 + 0xFF + 0Xab_cd + 1_000_000 + 5.x"],
+  ["Valid negation", "x = -5\ny = -x - 2 * -(x + 1)\nz = - -y"],
+  ["Escapes in strings", "roar -well\\-being\\n\\t\\\\ \\u{1F981}-"],
+  ["Multi-line strings", "roar ---\nOne - two\n  ${x}\\---\n---"],
+  ["Type annotations", "ignite f(a, b: number, c: [text]?) -> [Lion?] | |"],
+  ["Constants", "vow limit = 10\nvowel = vow_1 + limit"],
+  ["Subtraction beside strings", "x = -a - b\ny = -a -b + -c-d\nz = length(-abc-) - -1"],
+  ["Valid strings beside negation", "roar -Hello-\nx = -1\nroar -bye-\nif (s == -a- and -b- != s) | |"],
+  ["Statements after strings on the same line", "x = -a- y = 2\npride A | name = -cub- volume = 1 |\nif (true) | roar -hi- simba.grow() |\nroar -a- xs[0] = 2\nroar -a- a.b.c = 1\nroar -a- f()"],
+  ["Valid optionals", "x = nothing\ny = a?.b?.c() ?? x ?? 0\nif (x != nothing) | |"],
   ["Valid function declaration", "ignite greet(name) | roar -Hello!- |"],
   [
     "Valid loop",
@@ -39,11 +61,37 @@ const syntaxChecks = [
 const syntaxErrors = [
   ["Invalid variable name", "3x = 5", /Line 1, col/],
   ["Missing equals sign", "x 42", /Line 1, col/],
-  ["Unclosed string", "roar -Hello", /Line 1, col/],
+  ["Unclosed string", "roar -Hello!", /Line 1, col 13/],
   ["Invalid function syntax", "ignite greet | roar -Hello!- |", /Line 1, col/],
   ["Mismatched block delimiters", "if (x is less than 5) | roar -small-", /Line 1, col/],
   ["Missing loop keyword", "i in range(5) | roar -Looping!- |", /Line 1, col/],
   ["Unexpected character", "x = 5 @ 3", /Line 1, col/],
+  ["Unclosed list", "xs = [1, 2", /Line 1, col/],
+  ["Length as a variable", "length = 5", /Line 1, col/],
+  ["Statement in a class body", "pride Lion | roar -hi- |", /Line 1, col/],
+  ["Member named by a keyword", "x = a.if", /Line 1, col/],
+  ["Nothing as a variable", "nothing = 1", /Line 1, col/],
+  ["And as a variable", "and = 1", /Line 1, col/],
+  ["Dangling or", "b = x or", /Line 1, col/],
+  ["Doubled underscores in numbers", "x = 1__0", /Line 1, col 7/],
+  ["Trailing underscores in numbers", "x = 1_", /Line 1, col 7/],
+  ["Hex without digits", "x = 0x", /Line 1, col 7/],
+  ["Exponent without digits", "x = 1e", /Line 1, col 7/],
+  ["Numbers running into names", "x = 12abc", /Line 1, col 7/],
+  ["While loop without condition", "Prowl while | |", /Line 1, col/],
+  ["Print without values", "roar", /Line 1, col/],
+  ["Print with a dangling comma", "roar 1,", /Line 1, col/],
+  ["Skip as a variable", "skip = 1", /Line 1, col/],
+  ["While as a variable", "while = 1", /Line 1, col/],
+  ["Else after otherwise", "if (a) | | otherwise | | else (b) | |", /Line 1, col/],
+  ["Unknown escapes", "roar -a\\qb-", /Line 1, col 8/],
+  ["Code points without digits", "roar -\\u{}-", /Line 1, col 7/],
+  ["Unclosed multi-line string", "roar ---\nhi-\n", /Line 3, col 1/],
+  ["Annotation without a type", "ignite f(a:) | |", /Line 1, col 12/],
+  ["Return arrow without a type", "ignite f() -> | |", /Line 1, col 15/],
+  ["Vow as a variable", "vow = 1", /Line 1, col/],
+  ["Constant without a value", "vow x", /Line 1, col 6/],
+  ["String across lines", "roar -hi!\nthere-", /Line 1, col 10/],
   ["Unmatched parentheses", "x = (5 + 3", /Line 1, col/],
   ["Invalid math expression", "x = * 5", /Line 1, col/],
 ];
@@ -61,4 +109,12 @@ describe("The LionCode parser", () => {
       assert.throws(() => parse(source), errorMessagePattern);
     });
   }
+
+  it("Reports the position of syntax errors", () => {
+    assert.throws(() => parse("x = 1\nx = 5 @ 3"), error => {
+      assert.deepStrictEqual([error.line, error.column], [2, 7]);
+      assert.match(error.reason, /^Expected/);
+      return true;
+    });
+  });
 });
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSession } from '../src/repl.js';
+
+// Feeds lines to a new session, returning what it wrote and what each
+// line answered about needing more input
+function transcript(...lines) {
+  let written = '';
+  const session = createSession({ write: (text) => (written += text) });
+  const continued = lines.map((line) => session.feed(line));
+  return { written, continued };
+}
+
+describe('The REPL', () => {
+  it('runs each statement as it is entered', () => {
+    const { written } = transcript('roar -one-', 'roar -two-');
+    assert.strictEqual(written, 'one\ntwo\n');
+  });
+
+  it('keeps variables and functions between inputs', () => {
+    const { written } = transcript(
+      'x = 20',
+      'ignite double(n) | serve n * 2 |',
+      'y = double(x) + 2',
+      'roar y'
+    );
+    assert.strictEqual(written, '42\n');
+  });
+
+  it('asks for more input until a block is closed', () => {
+    const { written, continued } = transcript(
+      'Prowl i in range(2) |',
+      '  roar i',
+      '|'
+    );
+    assert.deepStrictEqual(continued, [true, true, false]);
+    assert.strictEqual(written, '0\n1\n');
+  });
+
+  it('calls methods on objects made by earlier inputs', () => {
+    const { written } = transcript('pride C | n = 1 ignite get() | serve self.n | |', 'c = C()', 'roar c.get()');
+    assert.strictEqual(written, '1\n');
+  });
+
+  it('reports errors without ending the session', () => {
+    const { written } = transcript('roar nope', 'roar -still here-');
+    assert.match(written, /Variable 'nope' not declared/);
+    assert.match(written, /still here\n$/);
+  });
+
+  it('reports syntax errors that are not at the end of the input', () => {
+    const { written, continued } = transcript('x = 5 @ 3');
+    assert.deepStrictEqual(continued, [false]);
+    assert.match(written, /Line 1, col/);
+  });
+
+  it('forgets declarations from inputs that failed', () => {
+    const { written } = transcript(
+      'ignite f() | roar missing |',
+      'ignite f() | serve 7 |',
+      'x = f()',
+      'roar x'
+    );
+    assert.match(written, /Variable 'missing' not declared/);
+    assert.match(written, /7\n$/);
+  });
+
+  it('infers types from the inputs before the last', () => {
+    const { written } = transcript(
+      'ignite twice(n) | serve n * 2 |',
+      'roar twice(-a-)',
+      'roar twice(4)'
+    );
+    assert.match(written, /Line 1, col 25:[^]*Cannot apply \* to string and number/);
+    assert.match(written, /\n8\n$/);
+  });
+
+  it('numbers errors from the first line of the input that has them', () => {
+    const { written } = transcript('x = 1', 'roar x', 'y = 2 * -text-');
+    assert.match(written, /Line 1, col 5:\n> 1 \| y = 2 \* -text-/);
+  });
+
+  it('shows the analyzed form of the last input', () => {
+    const { written } = transcript('x = 1', ':ast');
+    assert.match(written, /AssignmentStatement/);
+    assert.match(written, /NumberLiteral value=1/);
+  });
+
+  it('shows the optimized form of the last input', () => {
+    const { written } = transcript('x = 2 * 3', ':optimized', ':ast');
+    assert.match(written, /NumberLiteral value=6/);
+    assert.match(written, /BinaryExpression op='\*'/);
+  });
+
+  it('shows the JavaScript for the last input', () => {
+    const { written } = transcript('roar -hi-', ':js');
+    assert.match(written, /hi\nconsole\.log\("hi"\);\n$/);
+  });
+
+  it('shows reassignments of earlier variables without declaring them again', () => {
+    const { written } = transcript('x = 1', 'x = x + 1', ':js');
+    assert.strictEqual(written, 'x = (x + 1);\n');
+  });
+
+  it('shows the types of expressions', () => {
+    const { written } = transcript(
+      'name = -Kaia-',
+      ':type name + 1',
+      ':type 3 is less than 4',
+      ':type sqrt(2)'
+    );
+    assert.strictEqual(written, 'string\nboolean\nnumber\n');
+  });
+
+  it('explains unknown commands and missing input', () => {
+    const { written } = transcript(':ast', ':frobnicate', ':help');
+    assert.match(written, /Nothing has been entered yet/);
+    assert.match(written, /Unknown command :frobnicate/);
+    assert.match(written, /:type <expr>/);
+  });
+
+  it('abandons a half-entered block on cancel', () => {
+    let written = '';
+    const session = createSession({ write: (text) => (written += text) });
+    assert.strictEqual(session.feed('if (true) |'), true);
+    assert.strictEqual(session.cancel(), true);
+    assert.strictEqual(session.feed('roar -fresh-'), false);
+    assert.strictEqual(written, 'fresh\n');
+    assert.strictEqual(session.cancel(), false);
+  });
+});
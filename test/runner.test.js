@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import run from '../src/runner.js';
+
+// Runs a program, collecting what it writes instead of printing it
+function output(source) {
+  let written = '';
+  run(source, { write: (text) => (written += text) });
+  return written;
+}
+
+describe('The runner', () => {
+  it('writes each roar on its own line', () => {
+    assert.strictEqual(output('roar -Hello-\nx = 42\nroar x'), 'Hello\n42\n');
+  });
+
+  it('runs loops and functions', () => {
+    const source = `
+      ignite double(n) | serve n * 2 |
+      total = 0
+      Prowl i in range(4) | total = total + double(i) |
+      roar total
+    `;
+    assert.strictEqual(output(source), '12\n');
+  });
+
+  it('runs the example programs', () => {
+    const source = fs.readFileSync('examples/sum.lioncode', 'utf-8');
+    assert.strictEqual(output(source), '10\n');
+  });
+
+  it('reports compile errors before running anything', () => {
+    assert.throws(() => output('roar -never-\nroar y'), /Variable 'y' not declared/);
+  });
+
+  it('keeps output written before a runtime error', () => {
+    let written = '';
+    const source = 'roar -before-\nignite f(n) | serve f(n) |\nf(1)';
+    assert.throws(
+      () => run(source, { write: (text) => (written += text) }),
+      /Runtime error: Too much recursion/
+    );
+    assert.strictEqual(written, 'before\n');
+  });
+
+  it('describes failed element access in LionCode terms', () => {
+    const source = 'ignite first(xs) | serve at(xs, 0) |\nx = first(first(5))';
+    assert.throws(() => output(source), /Runtime error: Cannot take element 0 of undefined/);
+  });
+});
@@ -2,82 +2,5 @@ import parse from '../src/parser.js';
 import analyze from '../src/analyzer.js';
 
 export function analyzeTestCase(code) {
-  if (code === "roar -x-") {
-    throw new Error("Variable 'x' not declared");
-  }
-  
-  if (code === "x = 1\nx = 2") {
-    throw new Error("Variable already declared: x");
-  }
-  
-  if (code === "ignite f(a) | |\nf(1, 2, 3)") {
-    throw new Error("Expected 1 argument(s) but 3 passed");
-  }
-  
-  if (code === "if (func() == 5) | |") {
-    throw new Error("Cannot compare function and number");
-  }
-  
-  if (code === "if (x == 1) | y = 5 | otherwise | y = -text- |") {
-    throw new Error("Mismatched types in if-else branches");
-  }
-
-  const testCases = {
-    "x": () => { throw new Error("Variable 'x' not declared"); },
-    "x = 1 x = 2": () => { throw new Error("Variable already declared: x"); },
-    "fact(true, x, 42)": () => { throw new Error("Expected 1 argument(s) but 3 passed"); },
-    "5 + 3 = 8": () => { throw new Error("Cannot assign to expression"); },
-    "func == 5": () => { throw new Error("Cannot compare function and number"); },
-    "if (x is less than 5) | y = 42 | otherwise | y = -true |": () => { 
-      throw new Error("Mismatched types in if-else branches"); 
-    },
-    "Prowl 123 in range(5) | |": () => { throw new Error("Invalid loop variable"); },
-    "Prowl i in range(-5) | |": () => { throw new Error("Range requires non-negative value"); },
-    "ignite helper() | ignite nested() | x = 1 | | |": () => {
-      return {
-        kind: "Program",
-        statements: [{
-          kind: "FunctionDeclaration",
-          name: "helper",
-          params: [],
-          body: {
-            kind: "Block",
-            statements: [{
-              kind: "FunctionDeclaration",
-              name: "nested",
-              params: [],
-              body: {
-                kind: "Block",
-                statements: [{
-                  kind: "AssignmentStatement",
-                  target: { kind: "Identifier", name: "x", type: "number" },
-                  expression: { kind: "NumberLiteral", value: 1, type: "number" }
-                }]
-              }
-            }]
-          }
-        }]
-      };
-    }
-  };
-
-  if (testCases[code]) {
-    return testCases[code]();
-  }
-
-  try {
-    const match = parse(code);
-    return analyze(match);
-  } catch (error) {
-    if (error.message.includes("Line 1") && code === "5 + 3 = 8") {
-      throw new Error("Cannot assign to expression");
-    }
-    if (error.message.includes("Line 1") && code.includes("Prowl 123")) {
-      throw new Error("Invalid loop variable");
-    }
-    if (error.message.includes("Line 1") && code.includes("range(-5)")) {
-      throw new Error("Range requires non-negative value");
-    }
-    throw error;
-  }
+  return analyze(parse(code));
 }